@@ -0,0 +1,108 @@
+/**
+ * Shared Web Audio graph for Video Speed Controller
+ * Routes media elements through one audio context per page:
+ * source → analyser (silence detection) → compressor → gain (volume boost) → speakers
+ */
+
+class MediaAudioGraph {
+  constructor() {
+    this.context = null;
+    // An element can only ever get one source node, so its nodes are kept here for reuse
+    this.nodes = new WeakMap();
+
+    // Compressor settings that even out speech before the gain is raised
+    this.COMPRESSOR = { threshold: -30, knee: 12, ratio: 4, attack: 0.005, release: 0.25 };
+  }
+
+  /**
+   * Check whether the page lets us hear this element's audio
+   * Cross-origin media without CORS reaches Web Audio as silence, and
+   * routing it would mute the element
+   */
+  canRoute(media) {
+    const src = media.currentSrc || media.src;
+    if (!src || media.crossOrigin !== null) return true;
+
+    try {
+      const url = new URL(src, location.href);
+      return url.protocol === 'blob:' || url.protocol === 'data:' || url.origin === location.origin;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Whether an element is already routed through the graph
+   */
+  isRouted(media) {
+    return this.nodes.has(media);
+  }
+
+  /**
+   * Route an element through the graph
+   * @param {HTMLMediaElement} media - Media element
+   * @returns {Promise<{source: MediaElementAudioSourceNode, analyser: AnalyserNode,
+   *   compressor: DynamicsCompressorNode, gain: GainNode}|null>} The element's nodes, or null if it cannot be routed
+   */
+  async connect(media) {
+    const existing = this.nodes.get(media);
+    if (existing) return existing;
+
+    if (!this.canRoute(media)) {
+      console.log('Video Speed Controller: Not routing cross-origin media through Web Audio', media.currentSrc);
+      return null;
+    }
+
+    if (!this.context) {
+      this.context = new AudioContext();
+    }
+    if (this.context.state !== 'running') {
+      await this.context.resume().catch(() => {});
+    }
+    // A suspended context would mute the element once it is routed through it
+    if (this.context.state !== 'running') return null;
+
+    // Another caller may have routed the element while the context resumed
+    if (this.nodes.has(media)) return this.nodes.get(media);
+
+    const source = this.context.createMediaElementSource(media);
+    const analyser = this.context.createAnalyser();
+    analyser.fftSize = 2048;
+    const compressor = this.context.createDynamicsCompressor();
+    const gain = this.context.createGain();
+
+    source.connect(analyser);
+    analyser.connect(compressor);
+    compressor.connect(gain);
+    gain.connect(this.context.destination);
+
+    const nodes = { source, analyser, compressor, gain };
+    this.nodes.set(media, nodes);
+    this.setBoost(media, 1);
+    return nodes;
+  }
+
+  /**
+   * Set an element's volume boost; 1 leaves its audio untouched
+   * @param {HTMLMediaElement} media - Routed media element
+   * @param {number} gain - Gain factor
+   */
+  setBoost(media, gain) {
+    const nodes = this.nodes.get(media);
+    if (!nodes) return;
+
+    const boosting = gain > 1;
+    const { compressor } = nodes;
+    const now = this.context.currentTime;
+    // Threshold 0 and ratio 1 turn the compressor into a pass-through
+    compressor.threshold.setValueAtTime(boosting ? this.COMPRESSOR.threshold : 0, now);
+    compressor.knee.setValueAtTime(boosting ? this.COMPRESSOR.knee : 0, now);
+    compressor.ratio.setValueAtTime(boosting ? this.COMPRESSOR.ratio : 1, now);
+    compressor.attack.setValueAtTime(this.COMPRESSOR.attack, now);
+    compressor.release.setValueAtTime(this.COMPRESSOR.release, now);
+    // Ramp to avoid a click when the boost switches on or off
+    nodes.gain.gain.setTargetAtTime(Math.max(1, gain), now, 0.05);
+  }
+}
+
+const mediaAudioGraph = new MediaAudioGraph();
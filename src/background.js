@@ -1,8 +1,28 @@
 /**
  * Background Service Worker for Video Speed Controller
- * Handles extension state
+ * Handles extension state, keyboard commands, the video context menu, the toolbar badge
+ * and requests from other extensions
  */
 
+importScripts('site-rules.js', 'storage.js', 'external-api.js');
+
+const CONTEXT_MENU_ROOT = 'contentSpeed';
+const CONTEXT_MENU_RESET = 'contentSpeed-reset';
+const CONTEXT_MENU_SPEEDS = [0.5, 0.75, 1.0, 1.25, 1.5, 1.75, 2.0, 2.5, 3.0, 4.0, 5.0];
+
+const BADGE_COLORS = {
+  active: '#1db954',
+  defaultSpeed: '#5f6368',
+  noMedia: '#3c4043',
+  disabled: '#888888',
+  blocked: '#e22134'
+};
+
+// Frame states are kept in session storage so they survive the service worker stopping
+let tabStateQueue = Promise.resolve();
+
+// Ports of other extensions following rate changes, by tab id
+const rateSubscribers = new Map();
 
 /**
  * Initialize extension on startup
@@ -15,6 +35,79 @@ async function initializeExtension() {
   }
 }
 
+/**
+ * Register the "Set speed for this content" menu on video and audio elements
+ */
+async function setupContextMenus() {
+  try {
+    await chrome.contextMenus.removeAll();
+
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_ROOT,
+      title: 'Set speed for this content',
+      contexts: ['video', 'audio']
+    });
+
+    CONTEXT_MENU_SPEEDS.forEach(speed => {
+      chrome.contextMenus.create({
+        id: `${CONTEXT_MENU_ROOT}-${speed}`,
+        parentId: CONTEXT_MENU_ROOT,
+        title: `${speed}x`,
+        contexts: ['video', 'audio']
+      });
+    });
+
+    chrome.contextMenus.create({
+      id: `${CONTEXT_MENU_ROOT}-separator`,
+      parentId: CONTEXT_MENU_ROOT,
+      type: 'separator',
+      contexts: ['video', 'audio']
+    });
+
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_RESET,
+      parentId: CONTEXT_MENU_ROOT,
+      title: 'Reset to default',
+      contexts: ['video', 'audio']
+    });
+  } catch (error) {
+    console.error('Video Speed Controller: Error setting up context menus:', error);
+  }
+}
+
+/**
+ * Save a content-specific speed for the clicked media and apply it in its frame
+ */
+async function handleContextMenuClick(info, tab) {
+  const menuItemId = String(info.menuItemId);
+  if (!tab || !menuItemId.startsWith(`${CONTEXT_MENU_ROOT}-`)) return;
+
+  try {
+    // Only the frame that contains the media knows which content it is showing
+    const target = { frameId: info.frameId || 0 };
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'getCurrentState' }, target);
+    const state = response && response.success ? response.state : null;
+
+    if (!state || !state.contentKey) {
+      console.warn('Video Speed Controller: Could not identify content for context menu action');
+      return;
+    }
+
+    let speed;
+    if (menuItemId === CONTEXT_MENU_RESET) {
+      await videoSpeedStorage.deleteContentSpeed(state.contentKey);
+      speed = state.defaultSpeed;
+    } else {
+      speed = parseFloat(menuItemId.slice(CONTEXT_MENU_ROOT.length + 1));
+      await videoSpeedStorage.setContentSpeed(state.contentKey, speed);
+    }
+
+    await chrome.tabs.sendMessage(tab.id, { action: 'setSpeed', speed }, target);
+  } catch (error) {
+    console.error('Video Speed Controller: Error handling context menu click:', error);
+  }
+}
+
 
 
 /**
@@ -42,6 +135,62 @@ async function handleMessage(message, sender, sendResponse) {
         }
         break;
 
+      case 'updateTabState':
+        if (sender.tab) {
+          await updateTabState(sender.tab.id, sender.frameId || 0, message.state);
+          // Frames loaded after a subscription started don't know to report rate changes yet
+          if (rateSubscribers.has(sender.tab.id) && !message.state.rateEvents) {
+            await sendToFrames(sender.tab.id, [sender.frameId || 0], { action: 'setRateEvents', enabled: true });
+          }
+        }
+        sendResponse({ success: true });
+        break;
+
+      case 'rateChanged':
+        if (sender.tab) {
+          publishRateChange(sender.tab.id, sender.frameId || 0, message.event);
+        }
+        sendResponse({ success: true });
+        break;
+
+      case 'getTabState':
+        // One state for the whole tab, merged from every frame's content script
+        sendResponse({ success: true, state: await getMergedTabState(message.tabId, message.frameId) });
+        break;
+
+      case 'sendToFrames': {
+        // Popup commands go to one chosen frame, or to every registered frame
+        const frameIds = Number.isInteger(message.frameId)
+          ? [message.frameId]
+          : await getTabFrameIds(message.tabId);
+        const results = await sendToFrames(message.tabId, frameIds, message.tabAction);
+        const responses = results.filter(result => result.response);
+        sendResponse({
+          success: responses.some(result => result.response.success),
+          reached: responses.length,
+          responses
+        });
+        break;
+      }
+
+      case 'unregisterFrame':
+        if (sender.tab) {
+          await removeFrames(sender.tab.id, [sender.frameId || 0]);
+        }
+        sendResponse({ success: true });
+        break;
+
+      case 'getTabFrames':
+        // Frames that have reported in, so the popup can ask each one for its media
+        sendResponse({ success: true, frameIds: await getTabFrameIds(message.tabId) });
+        break;
+
+      case 'recordWatchStats':
+        // Content scripts in every tab report here so updates are applied one at a time
+        await videoSpeedStorage.addWatchStats(message.records);
+        sendResponse({ success: true });
+        break;
+
       default:
         sendResponse({ success: false, error: 'Unknown action' });
     }
@@ -51,16 +200,372 @@ async function handleMessage(message, sender, sendResponse) {
   }
 }
 
+/**
+ * Store one frame's state and refresh the tab's badge
+ */
+function updateTabState(tabId, frameId, state) {
+  tabStateQueue = tabStateQueue.then(async () => {
+    const key = `tab-${tabId}`;
+    const { [key]: frames = {} } = await chrome.storage.session.get(key);
+    frames[frameId] = state;
+    await chrome.storage.session.set({ [key]: frames });
+    await updateBadge(tabId, frames);
+  }).catch(error => {
+    console.error('Video Speed Controller: Error updating tab state:', error);
+  });
+  return tabStateQueue;
+}
+
+/**
+ * Forget a tab's state and clear its badge
+ */
+function clearTabState(tabId) {
+  tabStateQueue = tabStateQueue.then(async () => {
+    await chrome.storage.session.remove(`tab-${tabId}`);
+    await chrome.action.setBadgeText({ tabId, text: '' }).catch(() => {
+      // Tab is already gone
+    });
+  }).catch(error => {
+    console.error('Video Speed Controller: Error clearing tab state:', error);
+  });
+  return tabStateQueue;
+}
+
+/**
+ * Get the ids of the frames in a tab that have a content script
+ */
+async function getTabFrameIds(tabId) {
+  const key = `tab-${tabId}`;
+  const { [key]: frames = {} } = await chrome.storage.session.get(key);
+  const frameIds = Object.keys(frames).map(Number).sort((a, b) => a - b);
+  return frameIds.length > 0 ? frameIds : [0];
+}
+
+/**
+ * Send a message to several frames of a tab and collect the answers
+ * Frames that no longer have a content script are dropped from the tab's registration
+ * @returns {Promise<Array<{frameId: number, response: Object|null}>>} Answer per frame
+ */
+async function sendToFrames(tabId, frameIds, message) {
+  const results = await Promise.all(frameIds.map(frameId =>
+    chrome.tabs.sendMessage(tabId, message, { frameId })
+      .then(response => ({ frameId, response: response || null }))
+      .catch(() => ({ frameId, response: null, gone: true }))));
+
+  const gone = results.filter(result => result.gone).map(result => result.frameId);
+  if (gone.length > 0) {
+    await removeFrames(tabId, gone);
+  }
+  return results.map(({ frameId, response }) => ({ frameId, response }));
+}
+
+/**
+ * Forget frames that navigated away or were removed
+ */
+function removeFrames(tabId, frameIds) {
+  tabStateQueue = tabStateQueue.then(async () => {
+    const key = `tab-${tabId}`;
+    const { [key]: frames } = await chrome.storage.session.get(key);
+    if (!frames) return;
+
+    frameIds.forEach(frameId => delete frames[frameId]);
+    await chrome.storage.session.set({ [key]: frames });
+    await updateBadge(tabId, frames);
+  }).catch(error => {
+    console.error('Video Speed Controller: Error removing frames:', error);
+  });
+  return tabStateQueue;
+}
+
+/**
+ * Ask every frame for its state and merge the answers into one tab state
+ * The frame with media (or the chosen frame) provides speed and site settings;
+ * media counts are added up across frames
+ * @param {number} tabId - Tab to query
+ * @param {number} [frameId] - Frame to take speed and site settings from
+ * @returns {Promise<Object|null>} Merged state with a frames list, or null if no frame answered
+ */
+async function getMergedTabState(tabId, frameId) {
+  const results = await sendToFrames(tabId, await getTabFrameIds(tabId), { action: 'getCurrentState' });
+  const frames = results
+    .filter(result => result.response && result.response.success)
+    .map(result => ({ frameId: result.frameId, ...result.response.state }));
+  if (frames.length === 0) return null;
+
+  const hasMedia = frame => frame.mediaCounts.video + frame.mediaCounts.audio > 0;
+  const primary = frames.find(frame => frame.frameId === frameId) ||
+    frames.find(hasMedia) ||
+    frames.find(frame => frame.frameId === 0) ||
+    frames[0];
+
+  return {
+    ...primary,
+    mediaCounts: frames.reduce((counts, frame) => ({
+      video: counts.video + frame.mediaCounts.video,
+      audio: counts.audio + frame.mediaCounts.audio
+    }), { video: 0, audio: 0 }),
+    frames: frames.map(frame => ({
+      frameId: frame.frameId,
+      hostname: frame.hostname,
+      topFrame: frame.topFrame,
+      currentSpeed: frame.currentSpeed,
+      enabled: frame.enabled,
+      mediaCounts: frame.mediaCounts
+    }))
+  };
+}
+
+/**
+ * Whether another extension may use the external API
+ */
+async function isExtensionAllowed(extensionId) {
+  const { extensionIds } = await videoSpeedStorage.getExternalApiSettings();
+  return extensionIds.includes(extensionId);
+}
+
+/**
+ * Answer a request from another extension (see external-api.js for the protocol)
+ */
+async function handleExternalMessage(message, sender, sendResponse) {
+  try {
+    if (!externalApi.isRequest(message)) {
+      sendResponse(externalApi.respond({ success: false, error: externalApi.ERRORS.UNKNOWN_ACTION }));
+      return;
+    }
+    if (!(await isExtensionAllowed(sender.id))) {
+      sendResponse(externalApi.respond({ success: false, error: externalApi.ERRORS.NOT_ALLOWED }));
+      return;
+    }
+
+    const error = externalApi.validate(message, externalApi.ACTIONS);
+    if (error) {
+      sendResponse(externalApi.respond({ success: false, error }));
+      return;
+    }
+
+    if (message.action === 'getInfo') {
+      sendResponse(externalApi.respond({ success: true, info: externalApi.getInfo() }));
+      return;
+    }
+
+    if (!Number.isInteger(message.tabId)) {
+      sendResponse(externalApi.respond({ success: false, error: externalApi.ERRORS.INVALID_TAB }));
+      return;
+    }
+
+    const tabAction = externalApi.toTabAction(message);
+    if (tabAction) {
+      await sendToFrames(message.tabId, await getTabFrameIds(message.tabId), tabAction);
+    }
+
+    const state = await getMergedTabState(message.tabId);
+    sendResponse(state
+      ? externalApi.respond({ success: true, state: externalApi.describeState(state) })
+      : externalApi.respond({ success: false, error: externalApi.ERRORS.NO_CONTROLLER }));
+  } catch (error) {
+    console.error('Video Speed Controller: Error handling external message:', error);
+    sendResponse(externalApi.respond({ success: false, error: error.message }));
+  }
+}
+
+/**
+ * Let another extension follow rate changes in tabs over a port
+ */
+async function handleExternalConnect(port) {
+  if (port.name !== externalApi.NAME) return;
+
+  const subscribedTabs = new Set();
+  // Messages can arrive while the allowlist is still being read
+  const allowed = isExtensionAllowed(port.sender.id);
+
+  port.onMessage.addListener(async (message) => {
+    if (!externalApi.isRequest(message)) return;
+    if (!(await allowed)) {
+      port.postMessage(externalApi.respond({ success: false, error: externalApi.ERRORS.NOT_ALLOWED }));
+      port.disconnect();
+      return;
+    }
+
+    const error = externalApi.validate(message, ['subscribe', 'unsubscribe']) ||
+      (Number.isInteger(message.tabId) ? null : externalApi.ERRORS.INVALID_TAB);
+    if (error) {
+      port.postMessage(externalApi.respond({ success: false, action: message.action, error }));
+      return;
+    }
+
+    if (message.action === 'subscribe') {
+      subscribedTabs.add(message.tabId);
+      await setRateSubscription(message.tabId, port, true);
+    } else {
+      subscribedTabs.delete(message.tabId);
+      await setRateSubscription(message.tabId, port, false);
+    }
+    port.postMessage(externalApi.respond({ success: true, action: message.action, tabId: message.tabId }));
+  });
+
+  port.onDisconnect.addListener(() => {
+    subscribedTabs.forEach(tabId => setRateSubscription(tabId, port, false));
+  });
+}
+
+/**
+ * Add or remove a port following a tab, and tell the tab's frames whether to report rate changes
+ */
+async function setRateSubscription(tabId, port, subscribed) {
+  const ports = rateSubscribers.get(tabId) || new Set();
+  const wasWatched = ports.size > 0;
+
+  if (subscribed) {
+    ports.add(port);
+  } else {
+    ports.delete(port);
+  }
+
+  if (ports.size > 0) {
+    rateSubscribers.set(tabId, ports);
+  } else {
+    rateSubscribers.delete(tabId);
+  }
+
+  if (wasWatched !== ports.size > 0) {
+    await sendToFrames(tabId, await getTabFrameIds(tabId), { action: 'setRateEvents', enabled: ports.size > 0 });
+  }
+}
+
+/**
+ * Pass a frame's rate change on to the extensions following its tab
+ */
+function publishRateChange(tabId, frameId, event) {
+  const ports = rateSubscribers.get(tabId);
+  if (!ports) return;
+
+  const message = externalApi.respond({ type: 'event', event: 'ratechange', tabId, frameId, ...event });
+  ports.forEach(port => {
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      // The other extension went away without disconnecting
+      setRateSubscription(tabId, port, false);
+    }
+  });
+}
+
+/**
+ * Pick the frame whose state the badge shows: the first frame with media, the top frame otherwise
+ */
+function getBadgeFrameState(frames) {
+  const frameIds = Object.keys(frames).map(Number).sort((a, b) => a - b);
+  const withMedia = frameIds.find(frameId => frames[frameId].mediaCount > 0);
+  return frames[withMedia ?? 0] || frames[frameIds[0]] || null;
+}
+
+/**
+ * Show the tab's speed (or why nothing is controlled) on the toolbar icon
+ */
+async function updateBadge(tabId, frames) {
+  const state = getBadgeFrameState(frames);
+  if (!state) return;
+
+  let text = `${Math.round(state.speed * 100) / 100}`;
+  let color = BADGE_COLORS.active;
+
+  if (!state.enabled) {
+    text = 'off';
+    color = BADGE_COLORS.disabled;
+  } else if (state.blockedByRule) {
+    text = 'off';
+    color = BADGE_COLORS.blocked;
+  } else if (state.mediaCount === 0) {
+    color = BADGE_COLORS.noMedia;
+  } else if (Math.abs(state.speed - state.defaultSpeed) < 0.01) {
+    color = BADGE_COLORS.defaultSpeed;
+  }
+
+  try {
+    await chrome.action.setBadgeText({ tabId, text });
+    await chrome.action.setBadgeBackgroundColor({ tabId, color });
+  } catch (error) {
+    // Tab closed while the state was being stored
+  }
+}
+
+/**
+ * Reset the badge when a tab starts loading a new page
+ */
+function handleTabUpdated(tabId, changeInfo) {
+  if (changeInfo.status === 'loading') {
+    clearTabState(tabId);
+  }
+}
+
+/**
+ * Handle keyboard commands declared in the manifest
+ */
+async function handleCommand(command) {
+  try {
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    const tab = tabs[0] || null;
+    let tabAction = null;
+
+    switch (command) {
+      case 'toggle-extension': {
+        const enabled = !(await videoSpeedStorage.getEnabled());
+        await videoSpeedStorage.setEnabled(enabled);
+        tabAction = { action: 'toggleExtension', enabled, feedback: true };
+        break;
+      }
+
+      case 'speed-up':
+        tabAction = { action: 'adjustSpeed', delta: await videoSpeedStorage.getSpeedStep(), feedback: true };
+        break;
+
+      case 'speed-down':
+        tabAction = { action: 'adjustSpeed', delta: -(await videoSpeedStorage.getSpeedStep()), feedback: true };
+        break;
+
+      case 'skip-back':
+      case 'skip-forward': {
+        const { skipSeconds } = await videoSpeedStorage.getPracticeSettings();
+        tabAction = { action: 'skip', seconds: command === 'skip-back' ? -skipSeconds : skipSeconds, feedback: true };
+        break;
+      }
+
+      case 'toggle-loop':
+        tabAction = { action: 'cycleLoop', feedback: true };
+        break;
+
+      default:
+        console.warn('Video Speed Controller: Unknown command:', command);
+        return;
+    }
+
+    if (tab && tabAction) {
+      try {
+        await chrome.tabs.sendMessage(tab.id, tabAction);
+      } catch (error) {
+        // Content script is not available on this page (e.g. chrome:// URLs)
+        console.log('Video Speed Controller: No content script in active tab for command', command);
+      }
+    }
+  } catch (error) {
+    console.error('Video Speed Controller: Error handling command:', error);
+  }
+}
+
 /**
  * Handle extension installation and updates
  */
 async function handleInstalled(details) {
   try {
+    await setupContextMenus();
+
     if (details.reason === 'install') {
       console.log('Video Speed Controller: Extension installed');
+      await videoSpeedStorage.migrate();
       await initializeExtension();
     } else if (details.reason === 'update') {
-      console.log('Video Speed Controller: Extension updated');
+      console.log(`Video Speed Controller: Extension updated from ${details.previousVersion}`);
+      await videoSpeedStorage.migrate();
     }
   } catch (error) {
     console.error('Video Speed Controller: Error handling installation:', error);
@@ -70,7 +575,19 @@ async function handleInstalled(details) {
 // Event listeners
 chrome.runtime.onStartup.addListener(initializeExtension);
 chrome.runtime.onInstalled.addListener(handleInstalled);
+chrome.contextMenus.onClicked.addListener(handleContextMenuClick);
+chrome.commands.onCommand.addListener(handleCommand);
+chrome.tabs.onUpdated.addListener(handleTabUpdated);
+chrome.tabs.onRemoved.addListener((tabId) => {
+  clearTabState(tabId);
+  rateSubscribers.delete(tabId);
+});
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   handleMessage(message, sender, sendResponse);
   return true; // Indicate async response
-});
\ No newline at end of file
+});
+chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) => {
+  handleExternalMessage(message, sender, sendResponse);
+  return true; // Indicate async response
+});
+chrome.runtime.onConnectExternal.addListener(handleExternalConnect);
\ No newline at end of file
@@ -1,15 +1,313 @@
 /**
  * Content Script for Video Speed Controller
- * Injects into web pages and controls video playback speed
+ * Injects into web pages and controls video and audio playback speed
  */
 
+/**
+ * Resolves a key that identifies the content being watched, so that speeds
+ * can be remembered per YouTube channel, Netflix title, Twitch channel, etc.
+ *
+ * Site resolvers are tried in registration order; the generic resolver is
+ * used when no site resolver matches or none can identify the content.
+ */
+class ContentKeyResolver {
+  constructor() {
+    this.resolvers = [];
+
+    this.register({
+      name: 'youtube',
+      matches: (loc) => /(^|\.)youtube\.com$/.test(loc.hostname),
+      resolve: (doc, loc) => this.resolveYouTube(doc, loc),
+      // Fired once the new video's page (including its channel) has rendered
+      navigationEvents: ['yt-navigate-finish', 'yt-page-data-updated']
+    });
+    this.register({
+      name: 'netflix',
+      matches: (loc) => /(^|\.)netflix\.com$/.test(loc.hostname),
+      resolve: (doc, loc) => this.resolveNetflix(doc, loc)
+    });
+    this.register({
+      name: 'twitch',
+      matches: (loc) => /(^|\.)twitch\.tv$/.test(loc.hostname),
+      resolve: (doc, loc) => this.resolveTwitch(doc, loc)
+    });
+    this.register({
+      name: 'vimeo',
+      matches: (loc) => /(^|\.)vimeo\.com$/.test(loc.hostname),
+      resolve: (doc, loc) => this.resolveVimeo(doc, loc)
+    });
+  }
+
+  /**
+   * Register a site resolver
+   * @param {{name: string, matches: function(Location): boolean, resolve: function(Document, Location): ?{key: string, label: string},
+   *   navigationEvents?: string[]}} resolver - navigationEvents are document events the site fires after in-app navigation
+   */
+  register(resolver) {
+    this.resolvers.push(resolver);
+  }
+
+  /**
+   * Site-specific navigation events for the current page
+   * @returns {string[]} Event names dispatched on the document
+   */
+  getNavigationEvents(loc) {
+    return this.resolvers
+      .filter(resolver => resolver.matches(loc))
+      .flatMap(resolver => resolver.navigationEvents || []);
+  }
+
+  /**
+   * Resolve the content key for the current page
+   * @returns {{key: string, label: string}|null} Content key and a human-readable label
+   */
+  resolve(doc, loc) {
+    for (const resolver of this.resolvers) {
+      if (!resolver.matches(loc)) continue;
+
+      try {
+        const content = resolver.resolve(doc, loc);
+        if (content) return content;
+      } catch (error) {
+        console.error(`Video Speed Controller: Error in ${resolver.name} resolver:`, error);
+      }
+    }
+
+    return this.resolveGeneric(loc);
+  }
+
+  /**
+   * YouTube: channel of the video that is playing
+   */
+  resolveYouTube(doc, loc) {
+    const channelPattern = /^\/(@[^/?#]+|channel\/[^/?#]+|c\/[^/?#]+|user\/[^/?#]+)/;
+
+    // Owner link on the watch page (desktop and mobile layouts)
+    const ownerLink = doc.querySelector(
+      'ytd-watch-metadata ytd-channel-name a, #owner ytd-channel-name a, ytm-slim-owner-renderer a'
+    );
+    const ownerMatch = (ownerLink && (ownerLink.getAttribute('href') || '').match(channelPattern))
+      // Channel pages themselves (e.g. the channel trailer)
+      || loc.pathname.match(channelPattern);
+
+    if (!ownerMatch) return null;
+
+    const channelId = decodeURIComponent(ownerMatch[1]);
+    return { key: `youtube:${channelId}`, label: channelId };
+  }
+
+  /**
+   * Netflix: the title id in the URL
+   * The key never depends on the player controls being shown; the title only names it
+   */
+  resolveNetflix(doc, loc) {
+    const idMatch = loc.pathname.match(/^\/(?:watch|title)\/(\d+)/);
+    if (!idMatch) return null;
+
+    // The player title shows the series name first, then the episode
+    const titleElement = doc.querySelector('[data-uia="video-title"] h4, [data-uia="video-title"]');
+    const title = titleElement && titleElement.textContent.trim();
+    return { key: `netflix:${idMatch[1]}`, label: title || `Netflix title ${idMatch[1]}` };
+  }
+
+  /**
+   * Twitch: channel for live streams, VODs and clips
+   */
+  resolveTwitch(doc, loc) {
+    const reserved = ['directory', 'videos', 'settings', 'search', 'downloads', 'subscriptions', 'inventory', 'wallet', 'p'];
+    const segment = loc.pathname.split('/')[1];
+
+    if (segment && !reserved.includes(segment.toLowerCase())) {
+      const channel = segment.toLowerCase();
+      return { key: `twitch:${channel}`, label: channel };
+    }
+
+    // VOD pages (/videos/<id>) link to the channel from the stream info
+    const channelLink = doc.querySelector('.channel-info-content a[href^="/"]');
+    const channel = channelLink && channelLink.getAttribute('href').split('/')[1];
+    return channel ? { key: `twitch:${channel.toLowerCase()}`, label: channel.toLowerCase() } : null;
+  }
+
+  /**
+   * Vimeo: uploader of the video
+   */
+  resolveVimeo(doc, loc) {
+    // Video pages describe their author in JSON-LD
+    for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        const entries = [].concat(JSON.parse(script.textContent));
+        for (const entry of entries) {
+          const authorUrl = entry && entry.author && entry.author.url;
+          const userMatch = authorUrl && authorUrl.match(/vimeo\.com\/([^/?#]+)/);
+          if (userMatch) {
+            return { key: `vimeo:${userMatch[1]}`, label: entry.author.name || userMatch[1] };
+          }
+        }
+      } catch (error) {
+        // Ignore malformed JSON-LD blocks
+      }
+    }
+
+    // User and channel pages (/someone, /channels/name)
+    const pathMatch = loc.pathname.match(/^\/((?:channels\/)?[a-z][^/?#]*)/i);
+    return pathMatch ? { key: `vimeo:${pathMatch[1]}`, label: pathMatch[1] } : null;
+  }
+
+  /**
+   * Other sites: origin plus the first path segment (e.g. a course or show)
+   */
+  resolveGeneric(loc) {
+    if (!loc.origin || loc.origin === 'null') return null;
+
+    const segment = loc.pathname.split('/')[1];
+    const key = segment ? `${loc.origin}/${segment}` : loc.origin;
+    return { key, label: key.replace(/^https?:\/\//, '') };
+  }
+}
+
+/**
+ * Detects ad playback from player state or DOM markers, so ads do not play
+ * at the content speed.
+ *
+ * Each site adapter picks what happens while its ads play: 'keep' the user's
+ * speed, play at the separate 'adSpeed', or give the player back its
+ * 'original' rate. Adapters are tried in registration order.
+ */
+class AdDetector {
+  constructor() {
+    this.adapters = [];
+
+    // Ads play in the same <video>; the player is flagged while they run
+    this.register({
+      name: 'youtube',
+      matches: (loc) => /(^|\.)youtube\.com$/.test(loc.hostname),
+      action: 'original',
+      isAd: (media) => Boolean(media.closest('.html5-video-player.ad-showing, .html5-video-player.ad-interrupting'))
+    });
+    // Stitched ads whose player resets the rate, so it is left alone
+    this.register({
+      name: 'twitch',
+      matches: (loc) => /(^|\.)twitch\.tv$/.test(loc.hostname),
+      action: 'original',
+      isAd: (media, doc) => Boolean(doc.querySelector('[data-a-target="video-ad-label"], [data-a-target="video-ad-countdown"]'))
+    });
+    // Embedded players used across many sites
+    this.register({
+      name: 'jwplayer',
+      matches: () => true,
+      action: 'adSpeed',
+      isAd: (media) => Boolean(media.closest('.jwplayer.jw-flag-ads'))
+    });
+    this.register({
+      name: 'videojs',
+      matches: () => true,
+      action: 'adSpeed',
+      isAd: (media) => Boolean(media.closest('.video-js.vjs-ad-playing, .video-js.vjs-ad-loading'))
+    });
+  }
+
+  /**
+   * Register a site adapter
+   * @param {{name: string, matches: function(Location): boolean, action: 'keep'|'adSpeed'|'original',
+   *   isAd: function(HTMLMediaElement, Document): boolean}} adapter
+   */
+  register(adapter) {
+    this.adapters.push(adapter);
+  }
+
+  /**
+   * Check whether a media element is playing an ad
+   * @returns {{adapter: string, action: string}|null} Adapter that detected the ad and its action
+   */
+  detect(media, doc, loc) {
+    for (const adapter of this.adapters) {
+      if (!adapter.matches(loc)) continue;
+
+      try {
+        if (adapter.isAd(media, doc)) {
+          return { adapter: adapter.name, action: adapter.action };
+        }
+      } catch (error) {
+        console.error(`Video Speed Controller: Error in ${adapter.name} ad adapter:`, error);
+      }
+    }
+
+    return null;
+  }
+}
+
 class VideoSpeedController {
   constructor() {
     this.enabled = true;
+    this.settingsEnabled = true;
+    this.siteRules = [];
+    this.siteRule = null;
+    this.blockedByRule = false;
     this.defaultSpeed = 1.0;
     this.currentSpeed = 1.0;
+    this.content = null;
+    this.contentSpeed = null;
+    this.speedSource = 'default';
+    this.contentKeyResolver = new ContentKeyResolver();
+    this.hotkeys = {
+      enabled: false, slower: 's', faster: 'd', reset: 'r',
+      rewind: 'z', advance: 'x', loop: 'l', frameBack: ',', frameForward: '.'
+    };
+    this.practiceSettings = { skipSeconds: 5, frameRate: 30 };
+    // Speed ramp in progress: {from, to, minutes, elapsed, contentKey, stored}
+    this.ramp = null;
+    this.rampTimer = null;
+    this.RAMP_TICK = 1000;
+    // Media found on the page and the part of it that is playing, so hotkeys can check them without walking the page
+    this.trackedMedia = new Set();
+    this.playingMedia = new Set();
+    // Last pointer position, for hotkeys aimed at the media under the pointer
+    this.pointer = null;
+    // Media smaller than this (previews, muted ads) does not take hotkeys
+    this.HOTKEY_MIN_MEDIA_SIZE = { width: 160, height: 90 };
+    // Media with loop markers; each is checked on its own frames (or timeupdate for audio)
+    this.loopedMedia = new Set();
+    this.speedStep = 0.1;
+    this.speedRange = { min: 0.5, max: 5.0 };
+    this.overlaySettings = { enabled: true, sites: {}, size: 'medium', opacity: 0.7, autoHide: true, hideDelay: 2 };
+    this.overlays = new Set();
+    this.mediaTypeSettings = { type: 'both', sites: {} };
+    this.rateChangeSettings = { mode: 'enforce', maxConflicts: 3, sites: {} };
+    // Outside changes this often on one element means we are fighting the page
+    this.RATE_LOOP_LIMIT = 5;
+    this.RATE_LOOP_WINDOW = 2000;
+    this.silenceSettings = { enabled: false, threshold: -45, minDuration: 0.6, speed: 3.0, sites: {} };
+    this.timeSaved = 0;
+    this.subtitleSettings = { enabled: false, wordsPerSecond: 2.5, slowdown: 0.25, speedup: 0.5, sites: {} };
+    this.externalApiSettings = { extensionIds: [], pageOrigins: [] };
+    // Rate changes are reported to the background while another extension follows this tab,
+    // and posted to the page while a trusted page has subscribed
+    this.rateEventsEnabled = false;
+    this.pageSubscribed = false;
+    this.handlePageMessage = (event) => this.handlePageRequest(event);
+    this.adSettings = { action: 'auto', speed: 1.0 };
+    this.adDetector = new AdDetector();
+    this.durationRules = { live: 'normal', catchUpSpeed: 1.25, catchUpThreshold: 10, shortClipLength: 30 };
+    // Catch-up stops once playback is this close to the live edge, in seconds
+    this.LIVE_EDGE_TARGET = 3;
+    this.audioSettings = { preservesPitch: true, boost: false, boostGain: 2.0, boostMinSpeed: 1.5, sites: {} };
+    // Playback not yet reported to the watch statistics, by content key
+    this.pendingStats = new Map();
+    this.statsTimer = null;
+    this.STATS_FLUSH_INTERVAL = 30000;
+    this.tabStateTimer = null;
+    this.contentRefreshTimer = null;
+    // Wait for the site to render the new page before looking up its content
+    this.CONTENT_REFRESH_DELAY = 300;
+    this.detachedMediaCounts = { video: 0, audio: 0 };
     this.videos = new WeakMap();
-    this.observer = null;
+    this.nextMediaId = 1;
+    this.discovery = new MediaDiscovery((video) => {
+      if (this.enabled) {
+        this.applySpeedToVideo(video);
+      }
+    });
+    this.feedbackTimer = null;
     
     this.init();
   }
@@ -21,11 +319,18 @@ class VideoSpeedController {
     try {
       // Load initial settings from storage
       await this.loadSettings();
+      this.discovery.selector = this.getMediaSelector();
+      
+      // Control media that plays without being attached to the DOM
+      this.setupDetachedMediaBridge();
+      
+      // Resolve content-specific speed (e.g. YouTube channel, Netflix title)
+      await this.resolveContentSpeed();
       
-      // Apply speed to existing videos
+      // Apply speed to existing media
       this.applyToAllVideos();
       
-      // Set up mutation observer for new videos
+      // Watch the page and its shadow roots for new media
       this.setupObserver();
       
       // Listen for messages from popup/background
@@ -34,6 +339,21 @@ class VideoSpeedController {
       // Listen for storage changes
       this.setupStorageListener();
       
+      // Re-resolve content speed and rules after in-app navigation
+      this.setupNavigationListener();
+      
+      // Listen for in-page hotkeys
+      this.setupHotkeyListener();
+
+      // Report watch statistics periodically and when the page is hidden
+      this.setupStatsReporting();
+
+      // Keep this frame registered with the background while the page is shown
+      this.setupFrameRegistration();
+
+      // Answer trusted pages that drive the speed through window.postMessage
+      this.setupPageBridge();
+      
       console.log('Video Speed Controller: Content script initialized');
     } catch (error) {
       console.error('Video Speed Controller: Error initializing:', error);
@@ -45,15 +365,44 @@ class VideoSpeedController {
    */
   async loadSettings() {
     try {
-      const settings = await chrome.storage.sync.get(['enabled', 'defaultSpeed']);
-      
-      this.enabled = settings.enabled !== undefined ? settings.enabled : true;
-      this.defaultSpeed = settings.defaultSpeed || 1.0;
+      const settings = await videoSpeedStorage.getSettings(['enabled', 'defaultSpeed', 'hotkeys', 'overlay', 'mediaType', 'siteRules', 'speedStep', 'speedRange', 'rateChange', 'silence', 'subtitles', 'audio', 'ads', 'durationRules', 'practice', 'externalApi']);
+
+      this.settingsEnabled = settings.enabled;
+      this.enabled = this.settingsEnabled;
+      this.defaultSpeed = settings.defaultSpeed;
       this.currentSpeed = this.defaultSpeed;
+      this.hotkeys = settings.hotkeys;
+      this.speedStep = settings.speedStep;
+      this.speedRange = settings.speedRange;
+      this.overlaySettings = settings.overlay;
+      this.mediaTypeSettings = settings.mediaType;
+      this.siteRules = settings.siteRules;
+      this.rateChangeSettings = settings.rateChange;
+      this.silenceSettings = settings.silence;
+      this.subtitleSettings = settings.subtitles;
+      this.audioSettings = settings.audio;
+      this.adSettings = settings.ads;
+      this.durationRules = settings.durationRules;
+      this.practiceSettings = settings.practice;
+      this.externalApiSettings = settings.externalApi;
       
       console.log('Video Speed Controller: Settings loaded', {
         enabled: this.enabled,
-        defaultSpeed: this.defaultSpeed
+        defaultSpeed: this.defaultSpeed,
+        hotkeys: this.hotkeys,
+        speedStep: this.speedStep,
+        speedRange: this.speedRange,
+        overlay: this.overlaySettings,
+        mediaType: this.mediaTypeSettings,
+        siteRules: this.siteRules,
+        rateChange: this.rateChangeSettings,
+        silence: this.silenceSettings,
+        subtitles: this.subtitleSettings,
+        audio: this.audioSettings,
+        ads: this.adSettings,
+        durationRules: this.durationRules,
+        practice: this.practiceSettings,
+        externalApi: this.externalApiSettings
       });
     } catch (error) {
       console.error('Video Speed Controller: Error loading settings:', error);
@@ -61,7 +410,101 @@ class VideoSpeedController {
   }
 
   /**
-   * Apply speed settings to all videos on the page
+   * Resolve the speed for the content that is currently playing
+   * Priority: matching site rule, content-specific setting (if stored), then default setting
+   */
+  async resolveContentSpeed() {
+    try {
+      // The first matching site rule decides how this page is handled
+      this.siteRule = siteRules.findMatch(this.siteRules, location.href);
+      this.updateEnabled();
+      const action = this.siteRule ? this.siteRule.action : siteRules.ACTIONS.REMEMBER_CONTENT;
+
+      this.content = this.contentKeyResolver.resolve(document, location);
+      this.contentSpeed = null;
+
+      if (this.content && action === siteRules.ACTIONS.REMEMBER_CONTENT) {
+        this.contentSpeed = await videoSpeedStorage.getContentSpeed(this.content.key);
+      }
+
+      if (action === siteRules.ACTIONS.FORCE_SPEED) {
+        this.currentSpeed = this.siteRule.speed;
+        this.speedSource = 'rule';
+      } else if (this.contentSpeed) {
+        this.currentSpeed = this.contentSpeed;
+        this.speedSource = 'content';
+      } else {
+        this.currentSpeed = this.defaultSpeed;
+        this.speedSource = 'default';
+      }
+      this.currentSpeed = this.clampSpeed(this.currentSpeed);
+
+      // Ramps belong to the content; forced speeds leave no room for one
+      const rampKey = this.content && action === siteRules.ACTIONS.REMEMBER_CONTENT ? this.content.key : null;
+      await this.resolveRamp(rampKey);
+
+      console.log('Video Speed Controller: Content speed resolved', {
+        siteRule: this.siteRule,
+        content: this.content,
+        speed: this.currentSpeed,
+        source: this.speedSource
+      });
+    } catch (error) {
+      console.error('Video Speed Controller: Error resolving content speed:', error);
+    }
+  }
+
+  /**
+   * Combine the global on/off setting with site rules
+   */
+  updateEnabled() {
+    this.blockedByRule = Boolean(this.siteRule && this.siteRule.action === siteRules.ACTIONS.DISABLE);
+    this.enabled = this.settingsEnabled && !this.blockedByRule;
+    this.updateRampTimer();
+  }
+
+  /**
+   * Get the speed that applies here without manual changes
+   * @returns {number} Site rule speed, content-specific speed or default speed
+   */
+  getResolvedSpeed() {
+    if (this.siteRule && this.siteRule.action === siteRules.ACTIONS.FORCE_SPEED) {
+      return this.siteRule.speed;
+    }
+    return this.contentSpeed || this.defaultSpeed;
+  }
+
+  /**
+   * Check whether neither a site rule nor a content setting overrides the default speed
+   */
+  usesDefaultSpeed() {
+    const forced = this.siteRule && this.siteRule.action === siteRules.ACTIONS.FORCE_SPEED;
+    return !forced && !this.contentSpeed;
+  }
+
+  /**
+   * Get which kinds of media are controlled on this site
+   * @returns {'video'|'audio'|'both'} Media type setting
+   */
+  getMediaType() {
+    const siteSetting = this.mediaTypeSettings.sites[location.hostname];
+    return siteSetting || this.mediaTypeSettings.type;
+  }
+
+  /**
+   * Get the selector for the media elements controlled on this site
+   */
+  getMediaSelector() {
+    const selectors = {
+      video: 'video',
+      audio: 'audio',
+      both: 'video, audio'
+    };
+    return selectors[this.getMediaType()] || selectors.both;
+  }
+
+  /**
+   * Apply speed settings to all media on the page
    */
   applyToAllVideos() {
     if (!this.enabled) {
@@ -69,14 +512,17 @@ class VideoSpeedController {
       return;
     }
 
-    const videos = document.querySelectorAll('video');
+    const videos = this.discovery.findAll();
     videos.forEach(video => {
       this.applySpeedToVideo(video);
     });
+
+    this.syncDetachedMedia();
+    this.reportTabState();
   }
 
   /**
-   * Apply speed to a specific video element
+   * Apply speed to a specific media element (video or audio)
    */
   applySpeedToVideo(video) {
     if (!video || !this.enabled) return;
@@ -85,43 +531,61 @@ class VideoSpeedController {
       // Store the original playback rate if not already stored
       if (!this.videos.has(video)) {
         this.videos.set(video, {
+          id: this.nextMediaId++,
+          src: video.currentSrc || video.src,
           originalRate: video.playbackRate || 1.0,
-          applied: false
+          originalPreservesPitch: video.preservesPitch !== false,
+          speedOverride: null,
+          applied: false,
+          ownRate: null,
+          lastTime: null,
+          conflicts: [],
+          totalConflicts: 0,
+          yielded: false,
+          ad: null,
+          kind: null,
+          catchingUp: false,
+          seekWindow: null,
+          movingWindow: false,
+          loop: null,
+          loopFrame: null
         });
+        this.attachMediaListeners(video);
       }
 
-      // Apply the current speed
-      video.playbackRate = this.currentSpeed;
-      
-      // Update tracking
+      // Update tracking; media put back into the page after being removed is tracked again
+      this.trackedMedia.add(video);
       const videoData = this.videos.get(video);
       videoData.applied = true;
       this.videos.set(video, videoData);
 
-      // Add event listener to maintain speed when video resets
-      if (!video.hasAttribute('data-speed-controller')) {
-        video.setAttribute('data-speed-controller', 'true');
-        
-        // Reapply speed when video starts playing
-        video.addEventListener('play', () => {
-          if (this.enabled && video.playbackRate !== this.currentSpeed) {
-            video.playbackRate = this.currentSpeed;
-          }
-        });
+      // Ads get their own rate
+      videoData.ad = this.adDetector.detect(video, document, location);
 
-        // Reapply speed if video rate changes unexpectedly
-        video.addEventListener('ratechange', () => {
-          if (this.enabled && video.playbackRate !== this.currentSpeed) {
-            // Small delay to avoid conflicts with other scripts
-            setTimeout(() => {
-              if (this.enabled) {
-                video.playbackRate = this.currentSpeed;
-              }
-            }, 10);
-          }
-        });
+      // Live streams and short clips are only recognised once metadata has loaded
+      videoData.kind = this.classifyMedia(video);
+
+      // Apply the current speed, unless the page has won this element over or
+      // duration rules cannot be evaluated yet
+      if (!videoData.yielded && video.readyState >= HTMLMediaElement.HAVE_METADATA) {
+        this.setPlaybackRate(video, this.getTargetRate(video));
       }
 
+      // Pitch correction and volume boost
+      this.applyAudioSettings(video);
+
+      // Show the on-video HUD
+      this.attachOverlay(video, videoData);
+
+      // Speed up silent stretches if enabled for this site
+      this.attachSilenceSkipper(video, videoData);
+
+      // Follow subtitle density if enabled for this site
+      this.attachSubtitlePacer(video, videoData);
+
+      // Newly found media changes what the toolbar badge shows
+      this.reportTabState();
+
       console.log(`Video Speed Controller: Applied speed ${this.currentSpeed}x to video`);
     } catch (error) {
       console.error('Video Speed Controller: Error applying speed to video:', error);
@@ -129,170 +593,1962 @@ class VideoSpeedController {
   }
 
   /**
-   * Reset all videos to their original speed
+   * Listen to a media element for the life of this controller
+   * Tracked in memory rather than marked on the element, so a reloaded extension attaches afresh
    */
-  resetAllVideos() {
-    const videos = document.querySelectorAll('video');
-    videos.forEach(video => {
-      this.resetVideo(video);
+  attachMediaListeners(video) {
+    if (!video.paused) {
+      this.playingMedia.add(video);
+    }
+    ['pause', 'ended', 'emptied'].forEach(type => {
+      video.addEventListener(type, () => {
+        this.playingMedia.delete(video);
+        this.updateRampTimer();
+      });
     });
-  }
 
-  /**
-   * Reset a specific video to its original speed
-   */
-  resetVideo(video) {
-    if (!video) return;
+    // Reapply speed when video starts playing
+    video.addEventListener('play', () => {
+      this.playingMedia.add(video);
+      this.updateRampTimer();
+      if (this.isEnforcing(video) && video.playbackRate !== this.getTargetRate(video)) {
+        this.setPlaybackRate(video, this.getTargetRate(video));
+      }
+      this.updateVolumeBoost(video);
+    });
 
-    try {
+    // React to rate changes made by the page, its player or the user in the player's menu
+    video.addEventListener('ratechange', () => {
+      this.handleRateChange(video);
+      this.updateVolumeBoost(video);
+      this.emitRateChange(video);
+    });
+
+    // Players that swap the source of one element during in-app navigation
+    video.addEventListener('emptied', () => {
+      // Loading resets the rate to defaultPlaybackRate, which is not the page's doing
       const videoData = this.videos.get(video);
-      if (videoData) {
-        video.playbackRate = videoData.originalRate || 1.0;
-        videoData.applied = false;
-        this.videos.set(video, videoData);
-      } else {
-        video.playbackRate = 1.0;
-      }
-    } catch (error) {
-      console.error('Video Speed Controller: Error resetting video:', error);
-    }
-  }
+      if (videoData) videoData.ownRate = video.defaultPlaybackRate;
+      this.forgetLoop(video);
+      this.handleSourceChange(video);
+    });
+    video.addEventListener('loadstart', () => {
+      this.handleSourceChange(video);
+    });
 
-  /**
-   * Set up mutation observer to detect new videos
-   */
-  setupObserver() {
-    if (this.observer) {
-      this.observer.disconnect();
-    }
-
-    this.observer = new MutationObserver((mutations) => {
-      if (!this.enabled) return;
-
-      for (const mutation of mutations) {
-        // Check added nodes for video elements
-        mutation.addedNodes.forEach(node => {
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            if (node.tagName === 'VIDEO') {
-              this.applySpeedToVideo(node);
-            } else if (node.querySelector) {
-              // Check for videos within added elements
-              const videos = node.querySelectorAll('video');
-              videos.forEach(video => {
-                this.applySpeedToVideo(video);
-              });
-            }
-          }
-        });
-      }
+    // Apply live stream and short clip rules once the duration is known, and again if it changes
+    video.addEventListener('loadedmetadata', () => {
+      this.updateMediaKind(video);
+    });
+    video.addEventListener('durationchange', () => {
+      this.updateMediaKind(video);
     });
 
-    // Start observing
-    this.observer.observe(document.body, {
-      childList: true,
-      subtree: true
+    // Notice ads starting and ending, and count watched and media time for the statistics
+    video.addEventListener('playing', () => {
+      this.updateAdState(video);
+    });
+    video.addEventListener('timeupdate', () => {
+      this.updateAdState(video);
+      this.enforceLoop(video);
+      this.checkLiveWindow(video);
+      this.updateLiveCatchUp(video);
+      this.recordPlayback(video);
+    });
+    video.addEventListener('seeked', () => {
+      const videoData = this.videos.get(video);
+      if (videoData) videoData.lastTime = video.currentTime;
     });
   }
 
   /**
-   * Set up message listener for communication with popup/background
+   * Start over when a media element gets a new source: forget what was learned
+   * about the old one and look up the content and rules again
    */
-  setupMessageListener() {
-    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      console.log('Video Speed Controller: Received message:', message);
-
-      switch (message.action) {
-        case 'toggleExtension':
-          this.handleToggleExtension(message.enabled);
-          sendResponse({ success: true });
-          break;
-
-        case 'setSpeed':
-          this.handleSetSpeed(message.speed);
-          sendResponse({ success: true });
-          break;
-
-        case 'getCurrentState':
-          sendResponse({
-            success: true,
-            state: {
-              enabled: this.enabled,
-              currentSpeed: this.currentSpeed,
-              defaultSpeed: this.defaultSpeed
-            }
-          });
-          break;
+  handleSourceChange(video) {
+    const videoData = this.videos.get(video);
+    const src = video.currentSrc || video.src;
+    if (!videoData || src === videoData.src) return;
 
-        default:
-          sendResponse({ success: false, error: 'Unknown action' });
-      }
+    videoData.src = src;
+    videoData.speedOverride = null;
+    videoData.ad = null;
+    videoData.kind = null;
+    videoData.catchingUp = false;
+    videoData.seekWindow = null;
+    videoData.movingWindow = false;
+    this.forgetLoop(video);
+    videoData.lastTime = null;
+    videoData.conflicts = [];
+    videoData.totalConflicts = 0;
+    videoData.yielded = false;
 
-      return true; // Keep message channel open for async response
-    });
+    // Emptied elements have nothing to play yet; the following loadstart brings the new source
+    if (src) {
+      console.log('Video Speed Controller: New media source', src);
+      this.scheduleContentRefresh();
+    }
   }
 
   /**
-   * Set up storage listener for settings changes
+   * Look up the content and site rules again once navigation has settled
+   * Several signals (History API, site events, new sources) usually arrive together
    */
-  setupStorageListener() {
-    chrome.storage.onChanged.addListener((changes, namespace) => {
-      if (namespace !== 'sync') return;
-
-      console.log('Video Speed Controller: Storage changed:', changes);
-
-      // Handle enabled/disabled change
-      if (changes.enabled) {
-        this.enabled = changes.enabled.newValue;
-        if (this.enabled) {
-          // Re-apply speed to all videos when enabled
-          this.applyToAllVideos();
-        } else {
-          // Reset all videos when disabled
-          this.resetAllVideos();
-        }
-      }
-
-      // Handle default speed change
-      if (changes.defaultSpeed) {
-        this.defaultSpeed = changes.defaultSpeed.newValue;
-        this.currentSpeed = this.defaultSpeed;
-        if (this.enabled) {
-          this.applyToAllVideos();
-        }
-      }
-    });
+  scheduleContentRefresh() {
+    clearTimeout(this.contentRefreshTimer);
+    this.contentRefreshTimer = setTimeout(async () => {
+      this.contentRefreshTimer = null;
+      await this.resolveContentSpeed();
+      this.resetRateConflicts();
+      this.applyToAllVideos();
+    }, this.CONTENT_REFRESH_DELAY);
   }
 
   /**
-   * Handle toggle extension message
+   * Set a media element's rate, remembering it so our own ratechange events can be told apart
    */
-  handleToggleExtension(enabled) {
-    this.enabled = enabled;
-    if (enabled) {
-      this.applyToAllVideos();
-    } else {
-      this.resetAllVideos();
+  setPlaybackRate(video, rate) {
+    const videoData = this.videos.get(video);
+    if (videoData) {
+      videoData.ownRate = rate;
     }
+    video.playbackRate = rate;
   }
 
   /**
-   * Handle set speed message
+   * Rate a media element should play at right now (paced by subtitles, faster during skipped silence)
    */
-  handleSetSpeed(speed) {
-    this.currentSpeed = Math.max(0.5, Math.min(5.0, speed));
-    if (this.enabled) {
-      this.applyToAllVideos();
+  getTargetRate(video) {
+    let speed = this.getElementSpeed(video);
+    const videoData = this.videos.get(video);
+    if (videoData && videoData.ad) {
+      const action = this.getAdAction(videoData.ad);
+      if (action === 'adSpeed') return this.adSettings.speed;
+      if (action === 'original') return videoData.originalRate;
+    }
+    // Duration rules give way to a speed chosen for this one element
+    if (videoData && videoData.speedOverride === null) {
+      const durationRate = this.getDurationRuleRate(videoData);
+      if (durationRate !== null) return durationRate;
+    }
+    if (videoData && videoData.pacer && videoData.pacer.rate !== null) {
+      speed = this.clampSpeed(videoData.pacer.rate);
+    }
+    if (videoData && videoData.skipper && videoData.skipper.skipping) {
+      return Math.max(speed, this.getSilenceSettings().speed);
     }
+    return speed;
   }
 
   /**
-   * Clean up when page unloads
+   * Normal speed of a media element: its own speed if one was picked in the popup, the page speed otherwise
    */
-  cleanup() {
-    if (this.observer) {
-      this.observer.disconnect();
-      this.observer = null;
-    }
+  getElementSpeed(video) {
+    const videoData = this.videos.get(video);
+    return videoData && videoData.speedOverride !== null ? videoData.speedOverride : this.currentSpeed;
+  }
+
+  /**
+   * Media elements this controller has taken on that are still in the page and selected
+   * Kept up to date as media is found, so state lookups don't walk the page again
+   * Media no longer in the page is dropped from tracking until it is found again
+   */
+  getTrackedMedia() {
+    this.trackedMedia.forEach(media => {
+      if (!media.isConnected) {
+        this.trackedMedia.delete(media);
+        this.playingMedia.delete(media);
+      }
+    });
+    return Array.from(this.trackedMedia).filter(media => media.matches(this.discovery.selector));
+  }
+
+  /**
+   * Find a tracked media element by the id given to it in listMedia
+   */
+  findMediaById(mediaId) {
+    return this.getTrackedMedia().find(media => {
+      const videoData = this.videos.get(media);
+      return videoData && videoData.id === mediaId;
+    }) || null;
+  }
+
+  /**
+   * Describe the tracked media elements in this frame for the popup
+   */
+  listMedia() {
+    return this.getTrackedMedia()
+      .map(media => {
+        const videoData = this.videos.get(media);
+        const rect = media.getBoundingClientRect();
+        return {
+          id: videoData.id,
+          type: media.tagName === 'VIDEO' ? 'video' : 'audio',
+          width: media.tagName === 'VIDEO' ? media.videoWidth : 0,
+          height: media.tagName === 'VIDEO' ? media.videoHeight : 0,
+          displayWidth: Math.round(rect.width),
+          displayHeight: Math.round(rect.height),
+          duration: Number.isFinite(media.duration) ? media.duration : null,
+          currentTime: media.currentTime,
+          paused: media.paused,
+          muted: media.muted,
+          rate: media.playbackRate,
+          speedOverride: videoData.speedOverride,
+          controlled: this.isControlled(media)
+        };
+      });
+  }
+
+  /**
+   * Give one media element its own speed, or let it follow the page speed again
+   * @param {number} mediaId - Id from listMedia
+   * @param {number|null} speed - Speed for this element, or null to follow the page
+   * @returns {boolean} False if the element is no longer on the page
+   */
+  setMediaSpeed(mediaId, speed) {
+    const media = this.findMediaById(mediaId);
+    if (!media) return false;
+
+    const videoData = this.videos.get(media);
+    videoData.speedOverride = speed === null ? null : this.clampSpeed(speed);
+    videoData.conflicts = [];
+    videoData.totalConflicts = 0;
+    videoData.yielded = false;
+    if (this.isControlled(media)) {
+      this.setPlaybackRate(media, this.getTargetRate(media));
+    }
+    return true;
+  }
+
+  /**
+   * Scroll a media element into view and outline it briefly
+   * @param {number} mediaId - Id from listMedia
+   * @returns {boolean} False if the element is no longer on the page
+   */
+  highlightMedia(mediaId) {
+    const media = this.findMediaById(mediaId);
+    if (!media) return false;
+
+    media.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    // Drawn on top of the element so the page's own styles are left alone
+    const highlight = document.createElement('div');
+    highlight.setAttribute('data-speed-controller-highlight', 'true');
+    highlight.style.cssText = 'all: initial; position: fixed; z-index: 2147483647; pointer-events: none; ' +
+      'box-sizing: border-box; border: 3px solid #1db954; border-radius: 4px; ' +
+      'box-shadow: 0 0 0 9999px rgba(0, 0, 0, 0.35); transition: opacity 0.3s ease;';
+    (document.fullscreenElement || document.body).appendChild(highlight);
+
+    const follow = () => {
+      if (!highlight.isConnected) return;
+      const rect = media.getBoundingClientRect();
+      highlight.style.left = `${rect.left}px`;
+      highlight.style.top = `${rect.top}px`;
+      highlight.style.width = `${Math.max(rect.width, 24)}px`;
+      highlight.style.height = `${Math.max(rect.height, 24)}px`;
+      requestAnimationFrame(follow);
+    };
+    follow();
+
+    setTimeout(() => {
+      highlight.style.opacity = '0';
+      setTimeout(() => highlight.remove(), 300);
+    }, 1500);
+    return true;
+  }
+
+  /**
+   * Get the silence skipping settings for this site
+   */
+  getSilenceSettings() {
+    return videoSpeedStorage.resolveSilenceSettings(this.silenceSettings, location.hostname);
+  }
+
+  /**
+   * Start, update or stop silence skipping on a media element
+   */
+  attachSilenceSkipper(video, videoData) {
+    const settings = this.getSilenceSettings();
+
+    if (!settings.enabled || typeof SilenceSkipper === 'undefined') {
+      this.detachSilenceSkipper(video, videoData);
+      return;
+    }
+
+    if (videoData.skipper) {
+      videoData.skipper.setSettings(settings);
+      return;
+    }
+
+    videoData.skipper = new SilenceSkipper(video, settings, {
+      getNormalSpeed: () => this.getElementSpeed(video),
+      onChange: () => {
+        if (this.isEnforcing(video)) {
+          this.setPlaybackRate(video, this.getTargetRate(video));
+        }
+      },
+      onTimeSaved: (seconds) => this.addTimeSaved(seconds)
+    });
+    videoData.skipper.attach();
+  }
+
+  /**
+   * Stop silence skipping on a media element
+   */
+  detachSilenceSkipper(video, videoData) {
+    if (!videoData.skipper) return;
+
+    const wasSkipping = videoData.skipper.skipping;
+    videoData.skipper.destroy();
+    videoData.skipper = null;
+    if (wasSkipping && this.isEnforcing(video)) {
+      this.setPlaybackRate(video, this.getElementSpeed(video));
+    }
+  }
+
+  /**
+   * Get the subtitle pacing settings for this site
+   */
+  getSubtitleSettings() {
+    return videoSpeedStorage.resolveSubtitleSettings(this.subtitleSettings, location.hostname);
+  }
+
+  /**
+   * Start, update or stop subtitle pacing on a media element
+   */
+  attachSubtitlePacer(video, videoData) {
+    const settings = this.getSubtitleSettings();
+
+    if (!settings.enabled || typeof SubtitlePacer === 'undefined') {
+      this.detachSubtitlePacer(video, videoData);
+      return;
+    }
+
+    if (videoData.pacer) {
+      videoData.pacer.setSettings(settings);
+      return;
+    }
+
+    videoData.pacer = new SubtitlePacer(video, settings, {
+      getBaseSpeed: () => this.getElementSpeed(video),
+      onChange: () => {
+        if (this.isEnforcing(video)) {
+          this.setPlaybackRate(video, this.getTargetRate(video));
+        }
+      }
+    });
+    videoData.pacer.attach();
+  }
+
+  /**
+   * Stop subtitle pacing on a media element
+   */
+  detachSubtitlePacer(video, videoData) {
+    if (!videoData.pacer) return;
+
+    const wasPacing = videoData.pacer.rate !== null;
+    videoData.pacer.destroy();
+    videoData.pacer = null;
+    if (wasPacing && this.isEnforcing(video)) {
+      this.setPlaybackRate(video, this.getTargetRate(video));
+    }
+  }
+
+  /**
+   * Rate the media the popup describes is actually playing at
+   * @returns {{rate: number, paced: boolean}|null} Rate and whether subtitles are pacing it, or null without media
+   */
+  getEffectiveRate() {
+    const media = this.getPracticeMedia();
+    if (!media) return null;
+
+    const videoData = this.videos.get(media);
+    return {
+      rate: Math.round(media.playbackRate * 100) / 100,
+      paced: Boolean(videoData.pacer && videoData.pacer.rate !== null)
+    };
+  }
+
+  /**
+   * Count time saved by silence skipping and show it on the overlays
+   */
+  addTimeSaved(seconds) {
+    this.timeSaved += seconds;
+    this.overlays.forEach(overlay => overlay.setTimeSaved(this.timeSaved));
+  }
+
+  /**
+   * What to do while an ad plays: the user's choice, or the adapter's if left to each site
+   * @returns {'keep'|'adSpeed'|'original'} Ad action
+   */
+  getAdAction(ad) {
+    return this.adSettings.action === 'auto' ? ad.action : this.adSettings.action;
+  }
+
+  /**
+   * Switch a media element between its ad rate and the content speed when an ad starts or ends
+   */
+  updateAdState(video) {
+    const videoData = this.videos.get(video);
+    if (!this.isControlled(video)) return;
+
+    const ad = this.adDetector.detect(video, document, location);
+    if (Boolean(ad) === Boolean(videoData.ad)) return;
+
+    videoData.ad = ad;
+    // Ad players may have fought the rate; the content gets a fresh start either way
+    videoData.conflicts = [];
+    videoData.totalConflicts = 0;
+    videoData.yielded = false;
+
+    console.log(ad
+      ? `Video Speed Controller: ${ad.adapter} ad started (${this.getAdAction(ad)})`
+      : 'Video Speed Controller: Ad finished, back to the content speed');
+    this.setPlaybackRate(video, this.getTargetRate(video));
+    this.reportTabState();
+  }
+
+  /**
+   * Tell live streams and short clips apart from other media
+   * @returns {'live'|'short'|'normal'|null} Kind of media, or null until metadata has loaded
+   */
+  classifyMedia(video) {
+    if (video.readyState < HTMLMediaElement.HAVE_METADATA) return null;
+
+    const duration = video.duration;
+    // MSE and HLS players often report a finite duration for live streams; their seekable window gives them away
+    if (duration === Infinity || this.hasMovingWindow(video)) return 'live';
+
+    const { shortClipLength } = this.durationRules;
+    if (shortClipLength > 0 && Number.isFinite(duration) && duration > 0 && duration < shortClipLength) {
+      return 'short';
+    }
+    return 'normal';
+  }
+
+  /**
+   * Whether a media element's seekable window behaves like a live stream's DVR window:
+   * its start moves forward, or it starts past zero while the duration keeps growing
+   * Compared with the window seen first for the current source
+   */
+  hasMovingWindow(video) {
+    const videoData = this.videos.get(video);
+    if (!videoData) return false;
+    if (videoData.movingWindow) return true;
+    if (video.seekable.length === 0) return false;
+
+    const start = video.seekable.start(0);
+    const duration = video.duration;
+    const first = videoData.seekWindow;
+    if (!first) {
+      videoData.seekWindow = { start, duration };
+      return false;
+    }
+
+    // Half a second of slack for players that trim the window by a fraction
+    videoData.movingWindow = start > first.start + 0.5 || (start > 0 && duration > first.duration);
+    return videoData.movingWindow;
+  }
+
+  /**
+   * Reclassify media played as normal once its seekable window starts to move
+   */
+  checkLiveWindow(video) {
+    const videoData = this.videos.get(video);
+    if (!videoData || videoData.kind !== 'normal') return;
+
+    if (this.hasMovingWindow(video)) {
+      this.updateMediaKind(video);
+    }
+  }
+
+  /**
+   * Rate a duration rule sets for a media element
+   * @returns {number|null} Rate, or null if no rule applies
+   */
+  getDurationRuleRate(videoData) {
+    if (videoData.kind === 'short') return 1.0;
+    if (videoData.kind !== 'live' || this.durationRules.live === 'speed') return null;
+    return this.durationRules.live === 'catchUp' && videoData.catchingUp ? this.durationRules.catchUpSpeed : 1.0;
+  }
+
+  /**
+   * Re-evaluate duration rules when a media element's metadata or duration changes
+   */
+  updateMediaKind(video) {
+    const videoData = this.videos.get(video);
+    if (!this.isControlled(video)) return;
+
+    const kind = this.classifyMedia(video);
+    const changed = kind !== videoData.kind;
+    videoData.kind = kind;
+    if (kind !== 'live') {
+      videoData.catchingUp = false;
+    }
+
+    if (changed && kind !== 'normal') {
+      console.log(`Video Speed Controller: ${kind === 'live' ? 'Live stream' : 'Short clip'} detected (${video.duration}s)`);
+    }
+    if (this.isEnforcing(video)) {
+      this.setPlaybackRate(video, this.getTargetRate(video));
+    }
+    if (changed) {
+      this.reportTabState();
+    }
+  }
+
+  /**
+   * In catch-up mode, speed a live stream up while it is behind the live edge
+   */
+  updateLiveCatchUp(video) {
+    const videoData = this.videos.get(video);
+    if (!this.isControlled(video) || videoData.kind !== 'live' || this.durationRules.live !== 'catchUp') return;
+    if (video.seekable.length === 0 || video.paused) return;
+
+    const behind = video.seekable.end(video.seekable.length - 1) - video.currentTime;
+    // Start past the threshold and stop near the edge, so the rate does not flap
+    const catchingUp = videoData.catchingUp
+      ? behind > this.LIVE_EDGE_TARGET
+      : behind > this.durationRules.catchUpThreshold;
+    if (catchingUp === videoData.catchingUp) return;
+
+    videoData.catchingUp = catchingUp;
+    console.log(catchingUp
+      ? `Video Speed Controller: ${Math.round(behind)}s behind the live edge, catching up`
+      : 'Video Speed Controller: Caught up with the live edge');
+    if (this.isEnforcing(video)) {
+      this.setPlaybackRate(video, this.getTargetRate(video));
+    }
+  }
+
+  /**
+   * Duration rule that currently holds media at a fixed rate, if any
+   * @returns {'live'|'short'|null} Kind of media a rule applies to
+   */
+  getActiveDurationRule() {
+    const ruled = this.getTrackedMedia().find(media => {
+      const videoData = this.videos.get(media);
+      return this.isControlled(media) && videoData.speedOverride === null &&
+        this.getDurationRuleRate(videoData) !== null;
+    });
+    return ruled ? this.videos.get(ruled).kind : null;
+  }
+
+  /**
+   * Keep the ramp going on the same content, otherwise start the one remembered for the new content
+   * @param {string|null} contentKey - Content now playing, if ramps are allowed for it
+   */
+  async resolveRamp(contentKey) {
+    if (this.ramp && this.ramp.contentKey === contentKey) {
+      this.currentSpeed = this.getRampSpeed();
+      this.speedSource = 'ramp';
+      return;
+    }
+
+    this.stopRamp();
+    const ramp = await videoSpeedStorage.getSpeedRamp(contentKey);
+    if (ramp) {
+      this.startRamp(ramp, contentKey, true);
+    }
+  }
+
+  /**
+   * Start raising the speed from ramp.from to ramp.to over ramp.minutes of watch time
+   * @param {{from: number, to: number, minutes: number}} ramp - Validated ramp
+   * @param {string|null} contentKey - Content the ramp belongs to
+   * @param {boolean} stored - Whether the ramp is remembered for the content
+   */
+  startRamp(ramp, contentKey, stored) {
+    this.ramp = { ...ramp, elapsed: 0, contentKey, stored };
+    this.currentSpeed = this.getRampSpeed();
+    this.speedSource = 'ramp';
+    this.resetRateConflicts();
+
+    this.updateRampTimer();
+    this.overlays.forEach(overlay => overlay.setRampProgress(0));
+    console.log(`Video Speed Controller: Ramping from ${ramp.from}x to ${ramp.to}x over ${ramp.minutes} min`);
+  }
+
+  /**
+   * End the ramp, leaving the speed where it is
+   */
+  stopRamp() {
+    if (!this.ramp) return;
+
+    this.ramp = null;
+    this.updateRampTimer();
+    if (this.speedSource === 'ramp') {
+      this.speedSource = 'manual';
+    }
+    this.overlays.forEach(overlay => overlay.setRampProgress(null));
+  }
+
+  /**
+   * Share of the ramp's watch time already played, from 0 to 1
+   */
+  getRampProgress() {
+    return Math.min(1, this.ramp.elapsed / (this.ramp.minutes * 60));
+  }
+
+  /**
+   * Speed the ramp has reached, moving in whole speed steps
+   */
+  getRampSpeed() {
+    const { from, to } = this.ramp;
+    const progress = this.getRampProgress();
+    if (progress >= 1) return this.clampSpeed(to);
+
+    const steps = Math.floor(Math.abs(to - from) * progress / this.speedStep + 1e-9);
+    return this.clampSpeed(from + Math.sign(to - from) * steps * this.speedStep);
+  }
+
+  /**
+   * Whether any controlled media element is playing
+   */
+  isControlledMediaPlaying() {
+    return Array.from(this.playingMedia).some(media =>
+      media.isConnected && this.isControlled(media) && !media.paused && !media.ended);
+  }
+
+  /**
+   * Count watch time only while an unfinished ramp exists and controlled media plays
+   */
+  updateRampTimer() {
+    const running = Boolean(this.ramp) && this.getRampProgress() < 1 && this.isControlledMediaPlaying();
+    if (running && !this.rampTimer) {
+      this.rampTimer = setInterval(() => this.tickRamp(), this.RAMP_TICK);
+    } else if (!running && this.rampTimer) {
+      clearInterval(this.rampTimer);
+      this.rampTimer = null;
+    }
+  }
+
+  /**
+   * Count watch time while media plays and apply each new step of the ramp
+   */
+  tickRamp() {
+    // The ramp waits while nothing under control plays
+    if (!this.isControlledMediaPlaying()) return;
+
+    this.ramp.elapsed += this.RAMP_TICK / 1000;
+    const progress = this.getRampProgress();
+    this.overlays.forEach(overlay => overlay.setRampProgress(progress));
+
+    const speed = this.getRampSpeed();
+    if (Math.abs(speed - this.currentSpeed) >= 0.001) {
+      this.currentSpeed = speed;
+      this.speedSource = 'ramp';
+      if (this.enabled) {
+        this.applyToAllVideos();
+      }
+    }
+
+    // Finished: stay at the target speed without counting further
+    this.updateRampTimer();
+  }
+
+  /**
+   * Ramp progress for the popup
+   * @returns {{from: number, to: number, minutes: number, elapsed: number, progress: number, stored: boolean}|null}
+   */
+  getRampState() {
+    if (!this.ramp) return null;
+    const { from, to, minutes, elapsed, stored } = this.ramp;
+    return { from, to, minutes, elapsed, progress: this.getRampProgress(), stored };
+  }
+
+  /**
+   * Media element the practice controls act on: the one playing, else the largest visible one
+   */
+  getPracticeMedia() {
+    const media = this.getTrackedMedia().filter(element => this.isControlled(element));
+    const playing = media.find(element => !element.paused && !element.ended);
+    if (playing) return playing;
+
+    const area = element => element.offsetWidth * element.offsetHeight;
+    return media.sort((a, b) => area(b) - area(a))[0] || null;
+  }
+
+  /**
+   * Time range a media element can be moved to
+   */
+  getSeekRange(media) {
+    if (media.seekable.length > 0) {
+      return { start: media.seekable.start(0), end: media.seekable.end(media.seekable.length - 1) };
+    }
+    return { start: 0, end: Number.isFinite(media.duration) ? media.duration : media.currentTime };
+  }
+
+  /**
+   * Move a media element to a time, kept inside its seekable range
+   */
+  seekMedia(media, time) {
+    const { start, end } = this.getSeekRange(media);
+    media.currentTime = Math.max(start, Math.min(end, time));
+  }
+
+  /**
+   * Rewind (negative) or advance by a number of seconds
+   * @returns {boolean} False if there is no media to move
+   */
+  skipMedia(seconds) {
+    const media = this.getPracticeMedia();
+    if (!media) return false;
+
+    this.seekMedia(media, media.currentTime + seconds);
+    return true;
+  }
+
+  /**
+   * Pause and move one frame back (-1) or forward (1)
+   * @returns {boolean} False if there is no video to step
+   */
+  stepFrame(direction) {
+    const media = this.getPracticeMedia();
+    if (!media || media.tagName !== 'VIDEO') return false;
+
+    if (!media.paused) {
+      media.pause();
+    }
+    this.seekMedia(media, media.currentTime + direction / this.practiceSettings.frameRate);
+    return true;
+  }
+
+  /**
+   * Set the A or B marker of the practice media's loop at its current time
+   * @param {'a'|'b'} point - Marker to set
+   * @returns {boolean} False if there is no media to loop
+   */
+  setLoopPoint(point) {
+    const media = this.getPracticeMedia();
+    if (!media) return false;
+
+    const videoData = this.videos.get(media);
+    const loop = videoData.loop || { a: null, b: null };
+    loop[point] = media.currentTime;
+
+    if (point === 'b' && loop.a === null) {
+      // B without A loops from the start
+      loop.a = this.getSeekRange(media).start;
+    }
+    if (loop.a !== null && loop.b !== null) {
+      if (loop.b < loop.a) {
+        [loop.a, loop.b] = [loop.b, loop.a];
+      }
+      // Markers on the same spot would seek endlessly
+      if (loop.b - loop.a < 0.1) {
+        loop.b = null;
+      }
+    }
+
+    videoData.loop = loop;
+    this.loopedMedia.add(media);
+    this.watchLoop(media);
+    return true;
+  }
+
+  /**
+   * Clear the loop markers
+   * @returns {boolean} False if there was no loop
+   */
+  clearLoop() {
+    if (this.loopedMedia.size === 0) return false;
+
+    this.loopedMedia.forEach(media => this.forgetLoop(media));
+    return true;
+  }
+
+  /**
+   * One key for the whole loop: set A, then B, then clear
+   * @returns {boolean} False if there is no media to loop
+   */
+  cycleLoop() {
+    const media = this.getPracticeMedia();
+    if (!media) return false;
+
+    const loop = this.videos.get(media).loop;
+    if (!loop || loop.a === null) return this.setLoopPoint('a');
+    if (loop.b === null) return this.setLoopPoint('b');
+    return this.clearLoop();
+  }
+
+  /**
+   * Loop markers of the media that has them
+   * @returns {{a: number|null, b: number|null}|null} Marker times in seconds
+   */
+  getLoopState() {
+    for (const media of this.loopedMedia) {
+      const videoData = this.videos.get(media);
+      if (videoData && videoData.loop) return { ...videoData.loop };
+    }
+    return null;
+  }
+
+  /**
+   * Check a video's loop on every frame it presents, so it ends close to B
+   * Audio has no frames and is checked from timeupdate only
+   */
+  watchLoop(media) {
+    const videoData = this.videos.get(media);
+    if (videoData.loopFrame !== null || typeof media.requestVideoFrameCallback !== 'function') return;
+
+    const check = () => {
+      videoData.loopFrame = null;
+      this.enforceLoop(media);
+      if (this.loopedMedia.has(media)) {
+        videoData.loopFrame = media.requestVideoFrameCallback(check);
+      }
+    };
+    videoData.loopFrame = media.requestVideoFrameCallback(check);
+  }
+
+  /**
+   * Remove a media element's loop markers and stop checking it
+   */
+  forgetLoop(media) {
+    this.loopedMedia.delete(media);
+    const videoData = this.videos.get(media);
+    if (!videoData) return;
+
+    videoData.loop = null;
+    if (videoData.loopFrame !== null) {
+      media.cancelVideoFrameCallback(videoData.loopFrame);
+      videoData.loopFrame = null;
+    }
+  }
+
+  /**
+   * Jump back to A when playback passes B
+   */
+  enforceLoop(media) {
+    if (!this.loopedMedia.has(media)) return;
+    if (!media.isConnected) {
+      this.forgetLoop(media);
+      return;
+    }
+
+    const loop = this.videos.get(media).loop;
+    if (!loop || loop.b === null || media.paused || media.seeking) return;
+
+    if (media.currentTime >= loop.b) {
+      media.currentTime = loop.a;
+    }
+  }
+
+  /**
+   * Short text describing the loop, for feedback
+   */
+  describeLoop() {
+    const loop = this.getLoopState();
+    if (!loop) return 'Loop off';
+    return loop.b === null
+      ? `A ${this.formatTime(loop.a)}`
+      : `Loop ${this.formatTime(loop.a)}\u2013${this.formatTime(loop.b)}`;
+  }
+
+  /**
+   * Format seconds as m:ss.s
+   */
+  formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = (seconds - minutes * 60).toFixed(1).padStart(4, '0');
+    return `${minutes}:${rest}`;
+  }
+
+  /**
+   * Run a practice action sent by the popup, the background or a hotkey
+   * @returns {{success: boolean, feedback?: string}} Whether media was found, and text to show on it
+   */
+  runPracticeAction(action, message) {
+    switch (action) {
+      case 'skip': {
+        const seconds = parseFloat(message.seconds) || 0;
+        return {
+          success: this.skipMedia(seconds),
+          feedback: `${seconds < 0 ? '\u2212' : '+'}${Math.abs(seconds)}s`
+        };
+      }
+      case 'stepFrame':
+        return {
+          success: this.stepFrame(message.direction < 0 ? -1 : 1),
+          feedback: message.direction < 0 ? '\u25c0 1 frame' : '1 frame \u25b6'
+        };
+      case 'setLoopPoint':
+        return { success: this.setLoopPoint(message.point === 'b' ? 'b' : 'a'), feedback: this.describeLoop() };
+      case 'cycleLoop':
+        return { success: this.cycleLoop(), feedback: this.describeLoop() };
+      case 'clearLoop':
+        return { success: this.clearLoop(), feedback: 'Loop off' };
+      default:
+        return { success: false };
+    }
+  }
+
+  /**
+   * Whether any controlled media element is playing an ad
+   */
+  isAdPlaying() {
+    return this.getTrackedMedia().some(media => {
+      const videoData = this.videos.get(media);
+      return Boolean(videoData && videoData.ad);
+    });
+  }
+
+  /**
+   * Get the pitch and volume boost settings for this site
+   */
+  getAudioSettings() {
+    return videoSpeedStorage.resolveAudioSettings(this.audioSettings, location.hostname);
+  }
+
+  /**
+   * Apply pitch correction and the volume boost to a media element
+   */
+  applyAudioSettings(video) {
+    video.preservesPitch = this.getAudioSettings().preservesPitch;
+    this.updateVolumeBoost(video);
+  }
+
+  /**
+   * Gain a media element should get at its current rate (1 when not boosted)
+   */
+  getBoostGain(video) {
+    const settings = this.getAudioSettings();
+    const videoData = this.videos.get(video);
+    const active = this.enabled && videoData && videoData.applied;
+    return active && settings.boost && video.playbackRate >= settings.boostMinSpeed ? settings.boostGain : 1;
+  }
+
+  /**
+   * Raise the volume of fast, quiet speech; the element is only routed through
+   * Web Audio once a boost is first needed while it plays
+   */
+  async updateVolumeBoost(video) {
+    try {
+      if (this.getBoostGain(video) > 1 && !mediaAudioGraph.isRouted(video)) {
+        if (video.paused || !(await mediaAudioGraph.connect(video))) return;
+      }
+      mediaAudioGraph.setBoost(video, this.getBoostGain(video));
+    } catch (error) {
+      console.error('Video Speed Controller: Error updating volume boost:', error);
+    }
+  }
+
+  /**
+   * Get the rate change mode for this site
+   * @returns {'enforce'|'adopt'|'ignore'} Rate change mode
+   */
+  getRateChangeMode() {
+    return this.rateChangeSettings.sites[location.hostname] || this.rateChangeSettings.mode;
+  }
+
+  /**
+   * Check whether the extension still keeps its speed on a media element
+   */
+  isEnforcing(video) {
+    const videoData = this.videos.get(video);
+    return this.isControlled(video) && !videoData.yielded;
+  }
+
+  /**
+   * Apply the rate change policy when something other than the extension changes the rate
+   */
+  handleRateChange(video) {
+    const videoData = this.videos.get(video);
+    if (!this.isEnforcing(video)) return;
+
+    const rate = video.playbackRate;
+    // Our own change, or a change that happens to match what we set
+    if (Math.abs(rate - videoData.ownRate) < 0.001) return;
+
+    const mode = this.getRateChangeMode();
+
+    // Ads handed back to their player keep whatever rate it sets, and no ad rate is ever adopted
+    if (videoData.ad && (this.getAdAction(videoData.ad) === 'original' || mode === 'adopt')) return;
+
+    if (mode === 'adopt' && videoData.speedOverride !== null) {
+      // The element has its own speed, so only that changes
+      console.log(`Video Speed Controller: Adopting ${rate}x set by the page for one element`);
+      videoData.ownRate = rate;
+      videoData.speedOverride = Math.round(rate * 100) / 100;
+      return;
+    }
+
+    if (mode === 'adopt') {
+      // Treat the page's (or player menu's) rate as the new current speed
+      console.log(`Video Speed Controller: Adopting ${rate}x set by the page`);
+      videoData.ownRate = rate;
+      this.currentSpeed = Math.round(rate * 100) / 100;
+      if (Math.abs(this.currentSpeed - this.getResolvedSpeed()) >= 0.01) {
+        this.speedSource = 'manual';
+      }
+      this.applyToAllVideos();
+      return;
+    }
+
+    const now = Date.now();
+    videoData.conflicts = videoData.conflicts.filter(time => now - time < this.RATE_LOOP_WINDOW);
+    videoData.conflicts.push(now);
+    videoData.totalConflicts += 1;
+
+    if (videoData.conflicts.length >= this.RATE_LOOP_LIMIT) {
+      console.warn(
+        `Video Speed Controller: Rate change loop detected: the page set ${rate}x ` +
+        `${videoData.conflicts.length} times in ${this.RATE_LOOP_WINDOW / 1000}s while we kept ${this.currentSpeed}x ` +
+        `(mode "${mode}"). Leaving this element's rate to the page until the speed is changed again.`,
+        video
+      );
+      videoData.yielded = true;
+      return;
+    }
+
+    if (mode === 'ignore' && videoData.totalConflicts > this.rateChangeSettings.maxConflicts) {
+      console.log(
+        `Video Speed Controller: The page changed the rate ${videoData.totalConflicts} times ` +
+        `(limit ${this.rateChangeSettings.maxConflicts}), keeping its ${rate}x on this element`
+      );
+      videoData.yielded = true;
+      return;
+    }
+
+    // Small delay to avoid conflicts with other scripts
+    setTimeout(() => {
+      if (this.isEnforcing(video)) {
+        this.setPlaybackRate(video, this.getTargetRate(video));
+      }
+    }, 10);
+  }
+
+  /**
+   * Take media elements back from the page after the user picks a speed
+   */
+  resetRateConflicts() {
+    this.getTrackedMedia().forEach(media => {
+      const videoData = this.videos.get(media);
+      if (videoData) {
+        videoData.conflicts = [];
+        videoData.totalConflicts = 0;
+        videoData.yielded = false;
+      }
+    });
+  }
+
+  /**
+   * Check whether a media element is currently under the extension's control
+   */
+  isControlled(video) {
+    const videoData = this.videos.get(video);
+    return this.enabled && Boolean(videoData && videoData.applied);
+  }
+
+  /**
+   * Check whether the on-video overlay is switched on for this site
+   */
+  isOverlayEnabled() {
+    const siteSetting = this.overlaySettings.sites[location.hostname];
+    return siteSetting !== undefined ? siteSetting : this.overlaySettings.enabled;
+  }
+
+  /**
+   * Attach the speed overlay to a video if it doesn't have one yet
+   */
+  attachOverlay(video, videoData) {
+    if (video.tagName !== 'VIDEO') return;
+    if (videoData.overlay || !this.isOverlayEnabled() || typeof SpeedOverlay === 'undefined') return;
+
+    const overlay = new SpeedOverlay(video, this.overlaySettings, {
+      onAdjust: (direction) => {
+        // An element with its own speed is adjusted on its own
+        if (videoData.speedOverride !== null) {
+          this.setMediaSpeed(videoData.id, videoData.speedOverride + direction * this.speedStep);
+        } else {
+          this.handleAdjustSpeed(direction * this.speedStep);
+        }
+      },
+      onReset: () => {
+        if (videoData.speedOverride !== null) {
+          this.setMediaSpeed(videoData.id, null);
+        } else {
+          this.handleResetSpeed();
+        }
+      },
+      onDestroy: () => {
+        this.overlays.delete(overlay);
+        videoData.overlay = null;
+      }
+    });
+
+    videoData.overlay = overlay;
+    this.overlays.add(overlay);
+    overlay.attach();
+    overlay.setTimeSaved(this.timeSaved);
+    overlay.setRampProgress(this.ramp ? this.getRampProgress() : null);
+  }
+
+  /**
+   * Remove every speed overlay from the page
+   */
+  removeAllOverlays() {
+    Array.from(this.overlays).forEach(overlay => overlay.destroy());
+  }
+
+  /**
+   * Reset all media to their original speed
+   */
+  resetAllVideos() {
+    this.removeAllOverlays();
+
+    const videos = this.discovery.findAll();
+    videos.forEach(video => {
+      this.resetVideo(video);
+    });
+
+    this.syncDetachedMedia();
+    this.reportTabState();
+  }
+
+  /**
+   * Listen for the page-world hook reporting media that is not in the DOM
+   */
+  setupDetachedMediaBridge() {
+    document.addEventListener('videospeedcontroller:detachedmedia-count', (e) => {
+      try {
+        this.detachedMediaCounts = { ...this.detachedMediaCounts, ...JSON.parse(e.detail) };
+        this.reportTabState();
+      } catch (error) {
+        console.error('Video Speed Controller: Invalid detached media count:', error);
+      }
+    });
+
+    this.syncDetachedMedia();
+  }
+
+  /**
+   * Send the current settings to the page-world hook for detached media
+   */
+  syncDetachedMedia() {
+    const mediaType = this.getMediaType();
+    document.dispatchEvent(new CustomEvent('videospeedcontroller:detachedmedia-config', {
+      detail: JSON.stringify({
+        enabled: this.enabled,
+        speed: this.currentSpeed,
+        video: mediaType !== 'audio',
+        audio: mediaType !== 'video'
+      })
+    }));
+  }
+
+  /**
+   * Register and unregister this frame as its page is shown and hidden
+   * Removed iframes and pages left for another should stop counting toward the tab state
+   */
+  setupFrameRegistration() {
+    window.addEventListener('pagehide', () => {
+      chrome.runtime.sendMessage({ action: 'unregisterFrame' }).catch(() => {});
+    });
+
+    // Coming back from the back/forward cache
+    window.addEventListener('pageshow', (e) => {
+      if (e.persisted) {
+        this.reportTabState();
+      }
+    });
+  }
+
+  /**
+   * Tell the background this frame's speed and media count for the toolbar badge
+   * Batched, since applying to many elements at once would report each one
+   */
+  reportTabState() {
+    if (this.tabStateTimer) return;
+
+    this.tabStateTimer = setTimeout(() => {
+      this.tabStateTimer = null;
+      const counts = this.getMediaCounts();
+
+      chrome.runtime.sendMessage({
+        action: 'updateTabState',
+        state: {
+          enabled: this.settingsEnabled,
+          blockedByRule: this.blockedByRule,
+          speed: this.currentSpeed,
+          defaultSpeed: this.defaultSpeed,
+          mediaCount: counts.video + counts.audio,
+          rateEvents: this.rateEventsEnabled
+        }
+      }).catch(() => {
+        // Extension reloaded or the background is not available
+      });
+    }, 100);
+  }
+
+  /**
+   * Count the media elements being controlled, by kind
+   * @returns {{video: number, audio: number}} Number of controlled video and audio elements
+   */
+  getMediaCounts() {
+    const counts = { ...this.detachedMediaCounts };
+    if (!this.enabled) return { video: 0, audio: 0 };
+
+    this.getTrackedMedia().forEach(media => {
+      const videoData = this.videos.get(media);
+      if (videoData && videoData.applied) {
+        counts[media.tagName === 'VIDEO' ? 'video' : 'audio'] += 1;
+      }
+    });
+    return counts;
+  }
+
+  /**
+   * Re-select the media to control after the site's media type changes
+   */
+  handleMediaTypeChange() {
+    // Let go of media that may no longer be controlled, then pick up the new selection
+    this.resetAllVideos();
+    this.discovery.selector = this.getMediaSelector();
+    if (this.enabled) {
+      this.applyToAllVideos();
+    }
+  }
+
+  /**
+   * Reset a specific video to its original speed
+   */
+  resetVideo(video) {
+    if (!video) return;
+
+    try {
+      const videoData = this.videos.get(video);
+      if (videoData) {
+        this.detachSilenceSkipper(video, videoData);
+        this.detachSubtitlePacer(video, videoData);
+        this.setPlaybackRate(video, videoData.originalRate || 1.0);
+        video.preservesPitch = videoData.originalPreservesPitch;
+        videoData.applied = false;
+        videoData.ad = null;
+        videoData.catchingUp = false;
+        this.forgetLoop(video);
+        mediaAudioGraph.setBoost(video, 1);
+        this.videos.set(video, videoData);
+      } else {
+        video.playbackRate = 1.0;
+      }
+    } catch (error) {
+      console.error('Video Speed Controller: Error resetting video:', error);
+    }
+  }
+
+  /**
+   * Set up media discovery to detect new videos, including inside shadow roots
+   */
+  setupObserver() {
+    this.discovery.stop();
+    this.discovery.start();
+  }
+
+  /**
+   * Set up message listener for communication with popup/background
+   */
+  setupMessageListener() {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      console.log('Video Speed Controller: Received message:', message);
+
+      switch (message.action) {
+        case 'toggleExtension':
+          this.handleToggleExtension(message.enabled);
+          if (message.feedback) {
+            this.showFeedback(message.enabled ? 'Speed control on' : 'Speed control off');
+          }
+          sendResponse({ success: true });
+          break;
+
+        case 'adjustSpeed':
+          this.handleAdjustSpeed(message.delta);
+          if (message.feedback) {
+            this.showFeedback(`${this.currentSpeed}x`);
+          }
+          sendResponse({ success: true, speed: this.currentSpeed });
+          break;
+
+        case 'resetSpeed':
+          this.handleResetSpeed();
+          sendResponse({ success: true, speed: this.currentSpeed });
+          break;
+
+        case 'setRateEvents':
+          // Another extension started or stopped following this tab
+          this.rateEventsEnabled = Boolean(message.enabled);
+          sendResponse({ success: true });
+          break;
+
+        case 'setSpeed':
+          this.stopRamp();
+          this.handleSetSpeed(message.speed);
+          sendResponse({ success: true });
+          break;
+
+        case 'startRamp': {
+          const ramp = videoSpeedStorage.normalizeRamp(message.ramp);
+          if (ramp) {
+            this.startRamp(ramp, this.content ? this.content.key : null, Boolean(message.stored));
+            this.applyToAllVideos();
+          }
+          sendResponse({ success: Boolean(ramp), ramp: this.getRampState() });
+          break;
+        }
+
+        case 'stopRamp':
+          this.stopRamp();
+          this.handleSetSpeed(this.getResolvedSpeed());
+          sendResponse({ success: true });
+          break;
+
+        case 'listMedia':
+          sendResponse({
+            success: true,
+            media: this.listMedia(),
+            frameUrl: location.href,
+            topFrame: window === window.top
+          });
+          break;
+
+        case 'setMediaSpeed':
+          sendResponse({ success: this.setMediaSpeed(message.mediaId, message.speed) });
+          break;
+
+        case 'highlightMedia':
+          sendResponse({ success: this.highlightMedia(message.mediaId) });
+          break;
+
+        case 'skip':
+        case 'stepFrame':
+        case 'setLoopPoint':
+        case 'cycleLoop':
+        case 'clearLoop': {
+          const result = this.runPracticeAction(message.action, message);
+          if (result.success && message.feedback) {
+            this.showFeedback(result.feedback);
+          }
+          sendResponse({
+            success: result.success,
+            error: result.success ? undefined : 'No media to control',
+            loop: this.getLoopState()
+          });
+          break;
+        }
+
+        case 'getEffectiveRate':
+          // Polled by the popup while it is open
+          sendResponse({ success: true, effectiveRate: this.getEffectiveRate() });
+          break;
+
+        case 'getCurrentState':
+          sendResponse({
+            success: true,
+            state: {
+              enabled: this.enabled,
+              blockedByRule: this.blockedByRule,
+              siteRule: this.siteRule,
+              currentSpeed: this.currentSpeed,
+              defaultSpeed: this.defaultSpeed,
+              speedSource: this.speedSource,
+              contentKey: this.content ? this.content.key : null,
+              contentLabel: this.content ? this.content.label : null,
+              hostname: location.hostname,
+              url: location.href,
+              topFrame: window === window.top,
+              overlayEnabled: this.isOverlayEnabled(),
+              mediaType: this.getMediaType(),
+              rateChangeMode: this.getRateChangeMode(),
+              silence: { ...this.getSilenceSettings(), timeSaved: this.timeSaved },
+              subtitles: this.getSubtitleSettings(),
+              effectiveRate: this.getEffectiveRate(),
+              audio: this.getAudioSettings(),
+              adPlaying: this.isAdPlaying(),
+              durationRule: this.getActiveDurationRule(),
+              loop: this.getLoopState(),
+              ramp: this.getRampState(),
+              mediaCounts: this.getMediaCounts()
+            }
+          });
+          break;
+
+        default:
+          sendResponse({ success: false, error: 'Unknown action' });
+      }
+
+      return true; // Keep message channel open for async response
+    });
+  }
+
+  /**
+   * Set up storage listener for settings changes
+   */
+  setupStorageListener() {
+    videoSpeedStorage.onChanged((changes) => {
+      console.log('Video Speed Controller: Storage changed:', changes);
+
+      // Handle enabled/disabled change
+      if (changes.enabled) {
+        this.settingsEnabled = changes.enabled.newValue;
+        this.updateEnabled();
+        if (this.enabled) {
+          // Re-apply speed to all videos when enabled
+          this.applyToAllVideos();
+        } else {
+          // Reset all videos when disabled
+          this.resetAllVideos();
+        }
+      }
+
+      // Handle default speed change (site rules and content settings take priority)
+      if (changes.defaultSpeed) {
+        this.defaultSpeed = changes.defaultSpeed.newValue;
+        // A running ramp keeps control of the speed
+        if (this.usesDefaultSpeed() && !this.ramp) {
+          this.currentSpeed = this.defaultSpeed;
+          this.speedSource = 'default';
+          if (this.enabled) {
+            this.applyToAllVideos();
+          }
+        }
+      }
+
+      // Handle in-page hotkey preferences change
+      if (changes.hotkeys) {
+        this.hotkeys = changes.hotkeys.newValue;
+      }
+
+      // Handle speed step and range changes
+      if (changes.speedStep) {
+        this.speedStep = changes.speedStep.newValue;
+      }
+
+      if (changes.speedRange) {
+        this.speedRange = changes.speedRange.newValue;
+        this.handleSetSpeed(this.currentSpeed);
+      }
+
+      // Handle overlay visibility and appearance change
+      if (changes.overlay) {
+        this.overlaySettings = changes.overlay.newValue;
+        this.overlays.forEach(overlay => overlay.setAppearance(this.overlaySettings));
+        if (this.enabled && this.isOverlayEnabled()) {
+          this.applyToAllVideos();
+        } else {
+          this.removeAllOverlays();
+        }
+      }
+
+      // Handle media type change (video only, audio only, both)
+      if (changes.mediaType) {
+        this.mediaTypeSettings = changes.mediaType.newValue;
+        this.handleMediaTypeChange();
+      }
+
+      // Handle rate change policy change
+      if (changes.rateChange) {
+        this.rateChangeSettings = changes.rateChange.newValue;
+        this.resetRateConflicts();
+        if (this.enabled) {
+          this.applyToAllVideos();
+        }
+      }
+
+      // Handle silence skipping change
+      if (changes.silence) {
+        this.silenceSettings = changes.silence.newValue;
+        if (this.enabled) {
+          this.applyToAllVideos();
+        }
+      }
+
+      // Handle external API allowlist change
+      if (changes.externalApi) {
+        this.externalApiSettings = changes.externalApi.newValue;
+        if (!this.isPageTrusted()) {
+          this.pageSubscribed = false;
+        }
+      }
+
+      // Handle subtitle pacing change
+      if (changes.subtitles) {
+        this.subtitleSettings = changes.subtitles.newValue;
+        if (this.enabled) {
+          this.applyToAllVideos();
+        }
+      }
+
+      // Handle pitch correction and volume boost change
+      if (changes.audio) {
+        this.audioSettings = changes.audio.newValue;
+        if (this.enabled) {
+          this.applyToAllVideos();
+        }
+      }
+
+      // Handle practice control settings change
+      if (changes.practice) {
+        this.practiceSettings = changes.practice.newValue;
+      }
+
+      // Handle live stream and short clip rule change
+      if (changes.durationRules) {
+        this.durationRules = changes.durationRules.newValue;
+        if (this.enabled) {
+          this.applyToAllVideos();
+        }
+      }
+
+      // Handle ad playback change
+      if (changes.ads) {
+        this.adSettings = changes.ads.newValue;
+        if (this.enabled) {
+          this.applyToAllVideos();
+        }
+      }
+
+      // Handle per-content speed or site rule change
+      if (changes.siteRules) {
+        this.siteRules = changes.siteRules.newValue;
+      }
+
+      if (changes.contentSpeeds || changes.siteRules) {
+        // Applying also resets media when a site rule now disables the extension
+        this.resolveContentSpeed().then(() => {
+          this.applyToAllVideos();
+        });
+      }
+    });
+  }
+
+  /**
+   * Set up listeners for in-app (SPA) navigation
+   */
+  setupNavigationListener() {
+    // The site's own events for finished in-app navigation (e.g. YouTube's yt-navigate-finish)
+    this.contentKeyResolver.getNavigationEvents(location).forEach(type => {
+      document.addEventListener(type, () => this.scheduleContentRefresh());
+    });
+
+    // History API changes reported by the page-world hook, back/forward and hash changes
+    let lastUrl = location.href;
+    const handleUrlChange = () => {
+      if (location.href === lastUrl) return;
+      lastUrl = location.href;
+      this.scheduleContentRefresh();
+    };
+
+    document.addEventListener('videospeedcontroller:navigate', handleUrlChange);
+    window.addEventListener('popstate', handleUrlChange);
+    window.addEventListener('hashchange', handleUrlChange);
+  }
+
+  /**
+   * Listen for external API requests posted by the page (see external-api.js)
+   */
+  setupPageBridge() {
+    window.removeEventListener('message', this.handlePageMessage);
+    window.addEventListener('message', this.handlePageMessage);
+  }
+
+  /**
+   * Whether this page's origin may use the page bridge
+   */
+  isPageTrusted() {
+    return this.externalApiSettings.pageOrigins.includes(location.origin);
+  }
+
+  /**
+   * Answer a request a trusted page posted to its own window
+   * Untrusted pages get no answer, so they cannot tell the extension is installed
+   */
+  handlePageRequest(event) {
+    const request = event.data;
+    if (event.source !== window || !externalApi.isRequest(request) || request.type !== 'request') return;
+    if (!this.isPageTrusted()) return;
+
+    const respond = (fields) => {
+      window.postMessage(externalApi.respond({ type: 'response', id: request.id, action: request.action, ...fields }),
+        location.origin);
+    };
+
+    const error = externalApi.validate(request, externalApi.PAGE_ACTIONS);
+    if (error) {
+      respond({ success: false, error });
+      return;
+    }
+
+    switch (request.action) {
+      case 'getInfo':
+        respond({ success: true, info: externalApi.getInfo() });
+        return;
+
+      case 'subscribe':
+      case 'unsubscribe':
+        this.pageSubscribed = request.action === 'subscribe';
+        break;
+
+      case 'setSpeed':
+        this.stopRamp();
+        this.handleSetSpeed(parseFloat(request.speed));
+        break;
+
+      case 'adjustSpeed':
+        this.handleAdjustSpeed(parseFloat(request.delta));
+        break;
+
+      case 'resetSpeed':
+        this.handleResetSpeed();
+        break;
+    }
+
+    respond({ success: true, state: this.getApiState() });
+  }
+
+  /**
+   * State shared with other extensions and trusted pages
+   */
+  getApiState() {
+    return externalApi.describeState({
+      enabled: this.enabled,
+      blockedByRule: this.blockedByRule,
+      currentSpeed: this.currentSpeed,
+      defaultSpeed: this.defaultSpeed,
+      speedSource: this.speedSource,
+      hostname: location.hostname,
+      contentLabel: this.content ? this.content.label : null,
+      effectiveRate: this.getEffectiveRate()
+    });
+  }
+
+  /**
+   * Tell subscribers that a media element's rate changed
+   */
+  emitRateChange(video) {
+    if (!this.rateEventsEnabled && !this.pageSubscribed) return;
+
+    const videoData = this.videos.get(video);
+    const event = {
+      rate: Math.round(video.playbackRate * 100) / 100,
+      speed: this.currentSpeed,
+      mediaId: videoData ? videoData.id : null
+    };
+
+    if (this.pageSubscribed && this.isPageTrusted()) {
+      window.postMessage(externalApi.respond({ type: 'event', event: 'ratechange', ...event }), location.origin);
+    }
+    if (this.rateEventsEnabled) {
+      chrome.runtime.sendMessage({ action: 'rateChanged', event }).catch(() => {
+        // Extension reloaded or the background is not available
+      });
+    }
+  }
+
+  /**
+   * Set up in-page hotkeys, active while the video (or its player) has focus
+   */
+  setupHotkeyListener() {
+    document.addEventListener('pointermove', (e) => {
+      this.pointer = { x: e.clientX, y: e.clientY };
+    }, { passive: true });
+    document.addEventListener('mouseout', (e) => {
+      // Leaving the window
+      if (!e.relatedTarget) this.pointer = null;
+    }, { passive: true });
+
+    document.addEventListener('keydown', (e) => {
+      if (!this.hotkeys.enabled || !this.enabled) return;
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      if (!this.isMediaFocused()) return;
+
+      const key = e.key.toLowerCase();
+      let handled = true;
+      let feedback = null;
+
+      const practiceActions = {
+        [this.hotkeys.rewind]: { action: 'skip', seconds: -this.practiceSettings.skipSeconds },
+        [this.hotkeys.advance]: { action: 'skip', seconds: this.practiceSettings.skipSeconds },
+        [this.hotkeys.loop]: { action: 'cycleLoop' },
+        [this.hotkeys.frameBack]: { action: 'stepFrame', direction: -1 },
+        [this.hotkeys.frameForward]: { action: 'stepFrame', direction: 1 }
+      };
+
+      if (key === this.hotkeys.slower) {
+        this.handleAdjustSpeed(-this.speedStep);
+      } else if (key === this.hotkeys.faster) {
+        this.handleAdjustSpeed(this.speedStep);
+      } else if (key === this.hotkeys.reset) {
+        this.handleResetSpeed();
+      } else if (practiceActions[key]) {
+        const result = this.runPracticeAction(practiceActions[key].action, practiceActions[key]);
+        handled = result.success;
+        feedback = result.feedback;
+      } else {
+        handled = false;
+      }
+
+      if (handled) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.showFeedback(feedback || `${this.currentSpeed}x`);
+      }
+    }, true);
+  }
+
+  /**
+   * Check whether hotkeys are aimed at a controlled, visible media element: focus is on it or its player,
+   * the pointer is over its player, or nothing is focused and it is playing
+   */
+  isMediaFocused() {
+    const active = document.activeElement;
+    if (active && (active.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(active.tagName))) {
+      return false;
+    }
+
+    const media = this.getHotkeyMedia();
+    if (media.length === 0) return false;
+
+    const onPage = !active || active === document.body || active === document.documentElement;
+    const players = media.map(element => this.getPlayerContainer(element));
+
+    // Focus on the media, its player or the player's controls
+    if (!onPage && players.some(player => this.isInside(active, player))) return true;
+
+    // Pointer over a player
+    if (this.pointer && players.some(player => {
+      const rect = player.getBoundingClientRect();
+      return this.pointer.x >= rect.left && this.pointer.x <= rect.right &&
+        this.pointer.y >= rect.top && this.pointer.y <= rect.bottom;
+    })) return true;
+
+    // With nothing in particular focused, keys go to media that is playing
+    return onPage && media.some(element => this.playingMedia.has(element));
+  }
+
+  /**
+   * Controlled media large enough on screen to take hotkeys
+   */
+  getHotkeyMedia() {
+    const { width, height } = this.HOTKEY_MIN_MEDIA_SIZE;
+    return this.getTrackedMedia().filter(media => {
+      if (!this.isControlled(media)) return false;
+      const rect = media.getBoundingClientRect();
+      return rect.width >= width && rect.height >= height;
+    });
+  }
+
+  /**
+   * Outermost element around a media element that is about its size: the player with its controls
+   */
+  getPlayerContainer(media) {
+    const rect = media.getBoundingClientRect();
+    let container = media;
+    let node = this.getParent(media);
+
+    while (node && node !== document.body && node !== document.documentElement) {
+      const nodeRect = node.getBoundingClientRect();
+      // Anything much larger than the media is page layout, not the player
+      if (nodeRect.width > rect.width * 1.25 || nodeRect.height > rect.height * 1.5) break;
+      container = node;
+      node = this.getParent(node);
+    }
+    return container;
+  }
+
+  /**
+   * Parent element, stepping out of shadow roots to their host
+   */
+  getParent(element) {
+    if (element.parentElement) return element.parentElement;
+    const root = element.getRootNode();
+    return root instanceof ShadowRoot ? root.host : null;
+  }
+
+  /**
+   * Whether an element is a container or inside it, across shadow roots
+   */
+  isInside(element, container) {
+    for (let node = element; node; node = this.getParent(node)) {
+      if (node === container) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Show a short on-screen message over the first visible video
+   */
+  showFeedback(text) {
+    const video = this.getTrackedMedia()
+      .find(v => v.offsetWidth > 0 && v.offsetHeight > 0);
+    if (!video) return;
+
+    try {
+      // In fullscreen only the fullscreen element and its children are visible
+      const container = document.fullscreenElement || document.body;
+      const rect = video.getBoundingClientRect();
+
+      if (!this.feedbackElement) {
+        this.feedbackElement = document.createElement('div');
+        this.feedbackElement.style.cssText = `
+          position: fixed;
+          padding: 6px 12px;
+          border-radius: 4px;
+          background: rgba(0, 0, 0, 0.75);
+          color: white;
+          font: 600 16px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          z-index: 2147483647;
+          pointer-events: none;
+          transition: opacity 0.3s ease;
+        `;
+      }
+
+      if (this.feedbackElement.parentNode !== container) {
+        container.appendChild(this.feedbackElement);
+      }
+
+      this.feedbackElement.textContent = text;
+      this.feedbackElement.style.top = `${Math.max(rect.top, 0) + 12}px`;
+      this.feedbackElement.style.left = `${Math.max(rect.left, 0) + 12}px`;
+      this.feedbackElement.style.opacity = '1';
+
+      clearTimeout(this.feedbackTimer);
+      this.feedbackTimer = setTimeout(() => {
+        this.feedbackElement.style.opacity = '0';
+      }, 1200);
+    } catch (error) {
+      console.error('Video Speed Controller: Error showing feedback:', error);
+    }
+  }
+
+  /**
+   * Handle toggle extension message
+   */
+  handleToggleExtension(enabled) {
+    this.settingsEnabled = enabled;
+    this.updateEnabled();
+    if (this.enabled) {
+      this.applyToAllVideos();
+    } else {
+      this.resetAllVideos();
+    }
+  }
+
+  /**
+   * Handle set speed message
+   */
+  handleSetSpeed(speed) {
+    this.currentSpeed = this.clampSpeed(speed);
+    this.resetRateConflicts();
+    if (Math.abs(this.currentSpeed - this.getResolvedSpeed()) >= 0.01) {
+      this.speedSource = 'manual';
+    }
+    if (this.enabled) {
+      this.applyToAllVideos();
+    }
+  }
+
+  /**
+   * Clamp a speed to the user's speed range
+   */
+  clampSpeed(speed) {
+    const clamped = Math.max(this.speedRange.min, Math.min(this.speedRange.max, speed));
+    return Math.round(clamped * 100) / 100;
+  }
+
+  /**
+   * Handle adjust speed message (keyboard shortcuts)
+   */
+  handleAdjustSpeed(delta) {
+    this.stopRamp();
+    const speed = Math.round((this.currentSpeed + delta) * 100) / 100;
+    this.handleSetSpeed(speed);
+  }
+
+  /**
+   * Go back to the content-specific or default speed
+   */
+  handleResetSpeed() {
+    this.stopRamp();
+    this.handleSetSpeed(this.getResolvedSpeed());
+  }
+
+  /**
+   * Add the media time played since the last timeupdate to the pending statistics
+   */
+  recordPlayback(video) {
+    const videoData = this.videos.get(video);
+    if (!videoData) return;
+
+    const time = video.currentTime;
+    const lastTime = videoData.lastTime;
+    videoData.lastTime = time;
+
+    // Muted autoplay previews and ads would otherwise count as watching
+    if (!this.isControlled(video) || videoData.ad || lastTime === null || video.paused || video.seeking || video.muted) return;
+
+    const media = time - lastTime;
+    // Ignore jumps that are not continuous playback (seeks, source changes)
+    if (media <= 0 || media > 5) return;
+
+    const key = this.content ? this.content.key : '';
+    const pending = this.pendingStats.get(key) || {
+      label: this.content ? this.content.label : '',
+      watched: 0,
+      media: 0
+    };
+    pending.media += media;
+    pending.watched += media / video.playbackRate;
+    this.pendingStats.set(key, pending);
+  }
+
+  /**
+   * Send pending statistics to the background at intervals and before the page goes away
+   */
+  setupStatsReporting() {
+    this.statsTimer = setInterval(() => this.flushStats(), this.STATS_FLUSH_INTERVAL);
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.flushStats();
+      }
+    });
+    window.addEventListener('pagehide', () => this.flushStats());
+  }
+
+  /**
+   * Report pending statistics grouped by day, site and content key
+   */
+  flushStats() {
+    if (this.pendingStats.size === 0) return;
+
+    const day = videoSpeedStorage.formatDay(new Date());
+    const records = Array.from(this.pendingStats, ([contentKey, pending]) => ({
+      day,
+      site: location.hostname,
+      contentKey,
+      label: pending.label,
+      watched: Math.round(pending.watched * 10) / 10,
+      media: Math.round(pending.media * 10) / 10
+    }));
+    this.pendingStats.clear();
+
+    chrome.runtime.sendMessage({ action: 'recordWatchStats', records }).catch(error => {
+      console.log('Video Speed Controller: Could not report watch statistics:', error.message);
+    });
+  }
+
+  /**
+   * Clean up when page unloads
+   */
+  cleanup() {
+    this.flushStats();
+    clearInterval(this.statsTimer);
+    clearTimeout(this.contentRefreshTimer);
+    this.clearLoop();
+    clearInterval(this.rampTimer);
+    window.removeEventListener('message', this.handlePageMessage);
+    this.discovery.stop();
     this.resetAllVideos();
   }
 }
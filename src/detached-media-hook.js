@@ -0,0 +1,69 @@
+/**
+ * Detached Media Hook for Video Speed Controller
+ * Runs in the page's main world to control media elements that play without
+ * ever being attached to the DOM (e.g. `new Audio()`), which the content
+ * script cannot see. Settings arrive from the content script as JSON strings.
+ */
+
+(() => {
+  const CONFIG_EVENT = 'videospeedcontroller:detachedmedia-config';
+  const COUNT_EVENT = 'videospeedcontroller:detachedmedia-count';
+
+  const tracked = new Set();
+  const originalRates = new WeakMap();
+  let config = { enabled: false, speed: 1.0, audio: false, video: false };
+
+  const isControlled = (media) => {
+    const type = media instanceof HTMLVideoElement ? 'video' : 'audio';
+    return config.enabled && config[type] && !media.isConnected;
+  };
+
+  const apply = (media) => {
+    if (isControlled(media)) {
+      if (media.playbackRate !== config.speed) {
+        media.playbackRate = config.speed;
+      }
+    } else if (originalRates.has(media)) {
+      media.playbackRate = originalRates.get(media);
+    }
+  };
+
+  const reportCount = () => {
+    const count = { audio: 0, video: 0 };
+    tracked.forEach(ref => {
+      const media = ref.deref();
+      if (!media) {
+        tracked.delete(ref);
+      } else if (isControlled(media)) {
+        count[media instanceof HTMLVideoElement ? 'video' : 'audio'] += 1;
+      }
+    });
+    document.dispatchEvent(new CustomEvent(COUNT_EVENT, { detail: JSON.stringify(count) }));
+  };
+
+  const originalPlay = HTMLMediaElement.prototype.play;
+
+  HTMLMediaElement.prototype.play = function play() {
+    if (!this.isConnected && !originalRates.has(this)) {
+      originalRates.set(this, this.playbackRate || 1.0);
+      tracked.add(new WeakRef(this));
+      reportCount();
+    }
+    apply(this);
+    return originalPlay.apply(this, arguments);
+  };
+
+  document.addEventListener(CONFIG_EVENT, (e) => {
+    try {
+      config = { ...config, ...JSON.parse(e.detail) };
+    } catch (error) {
+      return;
+    }
+
+    tracked.forEach(ref => {
+      const media = ref.deref();
+      if (media) apply(media);
+    });
+    reportCount();
+  });
+})();
\ No newline at end of file
@@ -0,0 +1,133 @@
+/**
+ * External API for Video Speed Controller
+ * Lets other extensions and trusted pages read and change the speed
+ *
+ * Every request and answer carries `api: 'videospeedcontroller'` and the
+ * protocol `version` (currently 1). Requests for a version this build does not
+ * support are answered with `error: 'Unsupported API version'`.
+ *
+ * Actions: `getInfo`, `getState`, `setSpeed` (`speed`), `adjustSpeed` (`delta`)
+ * and `resetSpeed`. Answers are `{api, version, success, error?, state?}`, where
+ * state is `{enabled, speed, defaultSpeed, source, hostname, content, rate, paced}`:
+ * `speed` is the chosen speed and `rate` the one the media plays at right now.
+ *
+ * Other extensions must be allowed by id on the options page. They send
+ * `chrome.runtime.sendMessage(VSC_ID, {api, version: 1, action, tabId, ...})`.
+ * To follow rate changes they open `chrome.runtime.connect(VSC_ID, {name: 'videospeedcontroller'})`,
+ * post `{api, version: 1, action: 'subscribe', tabId}` on the port and receive
+ * `{api, version, type: 'event', event: 'ratechange', tabId, frameId, rate, speed}`.
+ * Ports close when the browser stops the service worker; reconnect on disconnect.
+ *
+ * Pages must be allowed by origin on the options page; other pages get no answer.
+ * They post `{api, version: 1, type: 'request', id, action, ...}` to their own window
+ * and get `{api, version, type: 'response', id, ...}` back on it. `subscribe` and
+ * `unsubscribe` switch `{api, version, type: 'event', event: 'ratechange', rate, speed}`
+ * messages on and off for that page.
+ */
+
+class ExternalApi {
+  constructor() {
+    this.NAME = 'videospeedcontroller';
+    this.VERSION = 1;
+    this.SUPPORTED_VERSIONS = [1];
+
+    this.ACTIONS = ['getInfo', 'getState', 'setSpeed', 'adjustSpeed', 'resetSpeed'];
+    // Pages subscribe with a request; extensions subscribe on a port
+    this.PAGE_ACTIONS = [...this.ACTIONS, 'subscribe', 'unsubscribe'];
+
+    this.ERRORS = {
+      NOT_ALLOWED: 'Not allowed',
+      UNSUPPORTED_VERSION: 'Unsupported API version',
+      UNKNOWN_ACTION: 'Unknown action',
+      INVALID_SPEED: 'Invalid speed',
+      INVALID_TAB: 'Missing or invalid tabId',
+      NO_CONTROLLER: 'No controller in that tab'
+    };
+  }
+
+  /**
+   * Whether a message is addressed to this API
+   */
+  isRequest(message) {
+    return Boolean(message) && typeof message === 'object' && message.api === this.NAME;
+  }
+
+  /**
+   * Check a request's version, action and parameters
+   * @param {Object} request - Request addressed to this API
+   * @param {string[]} actions - Actions allowed on this channel
+   * @returns {string|null} Error message, or null if the request is valid
+   */
+  validate(request, actions) {
+    if (!this.SUPPORTED_VERSIONS.includes(request.version)) return this.ERRORS.UNSUPPORTED_VERSION;
+    if (!actions.includes(request.action)) return this.ERRORS.UNKNOWN_ACTION;
+
+    if (request.action === 'setSpeed') {
+      const speed = parseFloat(request.speed);
+      if (!Number.isFinite(speed) || speed <= 0) return this.ERRORS.INVALID_SPEED;
+    }
+    if (request.action === 'adjustSpeed' && !Number.isFinite(parseFloat(request.delta))) {
+      return this.ERRORS.INVALID_SPEED;
+    }
+    return null;
+  }
+
+  /**
+   * Content script message that carries out a speed request
+   * @returns {Object|null} Message for the content script, or null for actions answered without one
+   */
+  toTabAction(request) {
+    switch (request.action) {
+      case 'setSpeed':
+        return { action: 'setSpeed', speed: parseFloat(request.speed) };
+      case 'adjustSpeed':
+        return { action: 'adjustSpeed', delta: parseFloat(request.delta) };
+      case 'resetSpeed':
+        return { action: 'resetSpeed' };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Version and actions, for callers checking what they can use
+   */
+  getInfo() {
+    return {
+      name: this.NAME,
+      version: this.VERSION,
+      supportedVersions: this.SUPPORTED_VERSIONS,
+      actions: this.ACTIONS
+    };
+  }
+
+  /**
+   * The part of a controller state shared with callers
+   * @param {Object} state - State from a content script's getCurrentState
+   * @returns {{enabled: boolean, speed: number, defaultSpeed: number, source: string, hostname: string,
+   *   content: string|null, rate: number|null, paced: boolean}} Public state
+   */
+  describeState(state) {
+    const effectiveRate = state.effectiveRate || null;
+    return {
+      enabled: Boolean(state.enabled) && !state.blockedByRule,
+      speed: state.currentSpeed,
+      defaultSpeed: state.defaultSpeed,
+      source: state.speedSource,
+      hostname: state.hostname,
+      content: state.contentLabel || null,
+      rate: effectiveRate ? effectiveRate.rate : null,
+      paced: Boolean(effectiveRate && effectiveRate.paced)
+    };
+  }
+
+  /**
+   * Add the API name and version to an answer or event
+   */
+  respond(fields) {
+    return { api: this.NAME, version: this.VERSION, ...fields };
+  }
+}
+
+// Create global instance
+const externalApi = new ExternalApi();
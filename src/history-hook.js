@@ -0,0 +1,17 @@
+/**
+ * History Hook for Video Speed Controller
+ * Runs in the page's main world and tells the content script when a
+ * single-page app changes the URL through the History API
+ */
+
+(() => {
+  ['pushState', 'replaceState'].forEach(method => {
+    const original = History.prototype[method];
+
+    History.prototype[method] = function historyMethod(...args) {
+      const result = original.apply(this, args);
+      document.dispatchEvent(new CustomEvent('videospeedcontroller:navigate'));
+      return result;
+    };
+  });
+})();
\ No newline at end of file
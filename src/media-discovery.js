@@ -0,0 +1,110 @@
+/**
+ * Media Discovery for Video Speed Controller
+ * Finds media elements in the light DOM and in open shadow roots, and
+ * watches both for media that is added later
+ */
+
+class MediaDiscovery {
+  /**
+   * @param {function(HTMLMediaElement)} onMedia - Called for every media element found
+   * @param {string} selector - Selector for the media elements to find
+   */
+  constructor(onMedia, selector = 'video') {
+    this.onMedia = onMedia;
+    this.selector = selector;
+    this.observer = null;
+    this.observedRoots = new WeakSet();
+
+    this.handleShadowRootAttached = (e) => {
+      const host = e.composedPath()[0] || e.target;
+      if (host && host.shadowRoot) {
+        this.scan(host);
+      }
+    };
+  }
+
+  /**
+   * Start watching the document and every open shadow root in it
+   */
+  start() {
+    if (this.observer) return;
+
+    this.observer = new MutationObserver((mutations) => {
+      for (const mutation of mutations) {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            this.scan(node);
+          }
+        });
+      }
+    });
+
+    this.observeRoot(document);
+    this.scan(document);
+
+    // Shadow roots attached to elements that are already in the page
+    document.addEventListener('videospeedcontroller:shadowroot', this.handleShadowRootAttached, true);
+  }
+
+  /**
+   * Stop watching for new media
+   */
+  stop() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    this.observedRoots = new WeakSet();
+    document.removeEventListener('videospeedcontroller:shadowroot', this.handleShadowRootAttached, true);
+  }
+
+  /**
+   * Find media under a node and report each one
+   * @param {Node} root - Document, shadow root or element to search
+   */
+  scan(root) {
+    this.findAll(root).forEach(media => this.onMedia(media));
+  }
+
+  /**
+   * Find all media under a node, including inside nested open shadow roots
+   * @param {Node} root - Document, shadow root or element to search
+   * @returns {HTMLMediaElement[]} Media elements found
+   */
+  findAll(root = document) {
+    const found = [];
+    this.collect(root, found);
+    return found;
+  }
+
+  /**
+   * Collect media under a node, descending into open shadow roots
+   */
+  collect(root, found) {
+    if (root.nodeType === Node.ELEMENT_NODE && root.matches(this.selector)) {
+      found.push(root);
+    }
+    root.querySelectorAll(this.selector).forEach(media => found.push(media));
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+    for (let node = walker.currentNode; node; node = walker.nextNode()) {
+      if (node.shadowRoot) {
+        this.observeRoot(node.shadowRoot);
+        this.collect(node.shadowRoot, found);
+      }
+    }
+  }
+
+  /**
+   * Watch a document or shadow root for added nodes
+   */
+  observeRoot(root) {
+    if (!this.observer || this.observedRoots.has(root)) return;
+
+    this.observedRoots.add(root);
+    this.observer.observe(root, {
+      childList: true,
+      subtree: true
+    });
+  }
+}
\ No newline at end of file
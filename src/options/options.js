@@ -0,0 +1,1137 @@
+/**
+ * Options Page Script for Video Speed Controller
+ * Manages advanced settings stored through VideoSpeedStorage
+ */
+
+class OptionsController {
+  constructor() {
+    this.rules = [];
+    this.contentSpeeds = {};
+    this.selectedContent = new Set();
+    this.hotkeys = null;
+    this.overlay = null;
+    this.rateChange = null;
+    this.audio = null;
+    this.ads = null;
+    this.durationRules = null;
+    this.stats = {};
+    this.statusTimer = null;
+
+    // DOM elements
+    this.elements = {
+      speedMin: document.getElementById('speedMin'),
+      speedMax: document.getElementById('speedMax'),
+      speedStep: document.getElementById('speedStep'),
+      presetForm: document.getElementById('presetForm'),
+      presetInput: document.getElementById('presetInput'),
+      presetResetBtn: document.getElementById('presetResetBtn'),
+      ruleList: document.getElementById('ruleList'),
+      ruleListEmpty: document.getElementById('ruleListEmpty'),
+      ruleForm: document.getElementById('ruleForm'),
+      rulePattern: document.getElementById('rulePattern'),
+      ruleAction: document.getElementById('ruleAction'),
+      ruleSpeed: document.getElementById('ruleSpeed'),
+      ruleTestUrl: document.getElementById('ruleTestUrl'),
+      ruleTestBtn: document.getElementById('ruleTestBtn'),
+      ruleTestResult: document.getElementById('ruleTestResult'),
+      contentSearch: document.getElementById('contentSearch'),
+      contentDeleteBtn: document.getElementById('contentDeleteBtn'),
+      contentSelectAll: document.getElementById('contentSelectAll'),
+      contentTableBody: document.getElementById('contentTableBody'),
+      contentEmpty: document.getElementById('contentEmpty'),
+      browserShortcutsBtn: document.getElementById('browserShortcutsBtn'),
+      hotkeysEnabled: document.getElementById('hotkeysEnabled'),
+      hotkeyInputs: document.querySelectorAll('.hotkey-input'),
+      practiceSkipSeconds: document.getElementById('practiceSkipSeconds'),
+      practiceFrameRate: document.getElementById('practiceFrameRate'),
+      rateChangeMode: document.getElementById('rateChangeMode'),
+      rateChangeMaxConflicts: document.getElementById('rateChangeMaxConflicts'),
+      durationLive: document.getElementById('durationLive'),
+      durationCatchUpSpeed: document.getElementById('durationCatchUpSpeed'),
+      durationCatchUpThreshold: document.getElementById('durationCatchUpThreshold'),
+      durationShortClip: document.getElementById('durationShortClip'),
+      adAction: document.getElementById('adAction'),
+      adSpeed: document.getElementById('adSpeed'),
+      audioPreservesPitch: document.getElementById('audioPreservesPitch'),
+      audioBoost: document.getElementById('audioBoost'),
+      audioBoostGain: document.getElementById('audioBoostGain'),
+      audioBoostMinSpeed: document.getElementById('audioBoostMinSpeed'),
+      overlayEnabled: document.getElementById('overlayEnabled'),
+      overlaySize: document.getElementById('overlaySize'),
+      overlayOpacity: document.getElementById('overlayOpacity'),
+      overlayHideDelay: document.getElementById('overlayHideDelay'),
+      overlayAutoHide: document.getElementById('overlayAutoHide'),
+      statsRange: document.getElementById('statsRange'),
+      statsExportBtn: document.getElementById('statsExportBtn'),
+      statsClearBtn: document.getElementById('statsClearBtn'),
+      statsWatched: document.getElementById('statsWatched'),
+      statsMedia: document.getElementById('statsMedia'),
+      statsSaved: document.getElementById('statsSaved'),
+      statsTableBody: document.getElementById('statsTableBody'),
+      statsEmpty: document.getElementById('statsEmpty'),
+      statsRetention: document.getElementById('statsRetention'),
+      externalExtensionsForm: document.getElementById('externalExtensionsForm'),
+      externalExtensionsInput: document.getElementById('externalExtensionsInput'),
+      externalOriginsForm: document.getElementById('externalOriginsForm'),
+      externalOriginsInput: document.getElementById('externalOriginsInput'),
+      exportBtn: document.getElementById('exportBtn'),
+      importForm: document.getElementById('importForm'),
+      importFile: document.getElementById('importFile'),
+      importMode: document.getElementById('importMode'),
+      importErrors: document.getElementById('importErrors'),
+      status: document.getElementById('status')
+    };
+
+    this.init();
+  }
+
+  /**
+   * Initialize options controller
+   */
+  async init() {
+    try {
+      this.rules = await videoSpeedStorage.getSiteRules();
+      this.contentSpeeds = await videoSpeedStorage.getContentSpeeds();
+      this.hotkeys = await videoSpeedStorage.getHotkeys();
+      this.overlay = await videoSpeedStorage.getOverlaySettings();
+      this.rateChange = await videoSpeedStorage.getRateChangeSettings();
+      this.audio = await videoSpeedStorage.getAudioSettings();
+      this.ads = await videoSpeedStorage.getAdSettings();
+      this.durationRules = await videoSpeedStorage.getDurationRules();
+
+      this.setupEventListeners();
+      this.setupStorageListener();
+
+      this.renderSpeedSettings(await videoSpeedStorage.getSpeedRange(), await videoSpeedStorage.getSpeedStep());
+      this.renderPresets(await videoSpeedStorage.getPresets());
+      this.renderRules();
+      this.renderContentSpeeds();
+      this.renderHotkeys();
+      this.renderPractice(await videoSpeedStorage.getPracticeSettings());
+      this.renderRateChange();
+      this.renderDurationRules();
+      this.renderAds();
+      this.renderAudio();
+      this.renderOverlay();
+
+      this.elements.statsRetention.value = await videoSpeedStorage.getStatsRetention();
+      await this.loadStats();
+
+      this.renderExternalApi(await videoSpeedStorage.getExternalApiSettings());
+    } catch (error) {
+      console.error('Video Speed Controller: Error initializing options:', error);
+      this.showError('Failed to load settings');
+    }
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    // Speed range and step
+    [this.elements.speedMin, this.elements.speedMax].forEach(input => {
+      input.addEventListener('change', () => this.saveSpeedRange());
+    });
+
+    this.elements.speedStep.addEventListener('change', async () => {
+      await videoSpeedStorage.setSpeedStep(this.elements.speedStep.value);
+      this.elements.speedStep.value = await videoSpeedStorage.getSpeedStep();
+      this.showSuccess('Step size saved');
+    });
+
+    // Presets
+    this.elements.presetForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      await this.savePresets(this.elements.presetInput.value.split(','));
+    });
+
+    this.elements.presetResetBtn.addEventListener('click', async () => {
+      await this.savePresets(videoSpeedStorage.DEFAULT_VALUES.presets);
+    });
+
+    // New rule form
+    this.setSpeedLimits(this.elements.ruleSpeed);
+    this.elements.ruleAction.addEventListener('change', () => {
+      this.elements.ruleSpeed.hidden = this.elements.ruleAction.value !== siteRules.ACTIONS.FORCE_SPEED;
+    });
+
+    this.elements.ruleForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      await this.addRule();
+    });
+
+    // Rule tester
+    this.elements.ruleTestBtn.addEventListener('click', () => {
+      this.testUrl();
+    });
+
+    this.elements.ruleTestUrl.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        this.testUrl();
+      }
+    });
+
+    // Saved content speeds
+    this.elements.contentSearch.addEventListener('input', () => {
+      this.renderContentSpeeds();
+    });
+
+    this.elements.contentSelectAll.addEventListener('change', (e) => {
+      this.getVisibleContentKeys().forEach(key => {
+        if (e.target.checked) {
+          this.selectedContent.add(key);
+        } else {
+          this.selectedContent.delete(key);
+        }
+      });
+      this.renderContentSpeeds();
+    });
+
+    this.elements.contentDeleteBtn.addEventListener('click', async () => {
+      await this.deleteSelectedContent();
+    });
+
+    // Shortcuts
+    this.elements.browserShortcutsBtn.addEventListener('click', () => {
+      chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    });
+
+    this.elements.hotkeysEnabled.addEventListener('change', async (e) => {
+      await this.saveHotkeys({ enabled: e.target.checked });
+    });
+
+    this.elements.hotkeyInputs.forEach(input => {
+      input.addEventListener('change', async () => {
+        if (!input.value.trim()) {
+          input.value = this.hotkeys[input.dataset.hotkey];
+          return;
+        }
+        await this.saveHotkeys({ [input.dataset.hotkey]: input.value });
+      });
+    });
+
+    // Practice controls
+    [
+      [this.elements.practiceSkipSeconds, 'skipSeconds'],
+      [this.elements.practiceFrameRate, 'frameRate']
+    ].forEach(([input, setting]) => {
+      input.addEventListener('change', async () => {
+        await videoSpeedStorage.setPracticeSettings({ [setting]: input.value });
+        this.renderPractice(await videoSpeedStorage.getPracticeSettings());
+        this.showSuccess('Practice settings saved');
+      });
+    });
+
+    // Site speed changes
+    this.elements.rateChangeMode.addEventListener('change', (e) => {
+      this.saveRateChange({ mode: e.target.value });
+    });
+
+    this.elements.rateChangeMaxConflicts.addEventListener('change', (e) => {
+      this.saveRateChange({ maxConflicts: e.target.value });
+    });
+
+    // Live streams and short clips
+    [
+      [this.elements.durationLive, 'live'],
+      [this.elements.durationCatchUpSpeed, 'catchUpSpeed'],
+      [this.elements.durationCatchUpThreshold, 'catchUpThreshold'],
+      [this.elements.durationShortClip, 'shortClipLength']
+    ].forEach(([input, rule]) => {
+      input.addEventListener('change', () => {
+        this.saveDurationRules({ [rule]: input.value });
+      });
+    });
+
+    // Ads
+    this.elements.adAction.addEventListener('change', (e) => {
+      this.saveAds({ action: e.target.value });
+    });
+
+    this.elements.adSpeed.addEventListener('change', (e) => {
+      this.saveAds({ speed: e.target.value });
+    });
+
+    // Pitch and volume
+    this.elements.audioPreservesPitch.addEventListener('change', (e) => {
+      this.saveAudio({ preservesPitch: e.target.checked });
+    });
+
+    this.elements.audioBoost.addEventListener('change', (e) => {
+      this.saveAudio({ boost: e.target.checked });
+    });
+
+    this.elements.audioBoostGain.addEventListener('change', (e) => {
+      this.saveAudio({ boostGain: e.target.value });
+    });
+
+    this.elements.audioBoostMinSpeed.addEventListener('change', (e) => {
+      this.saveAudio({ boostMinSpeed: e.target.value });
+    });
+
+    // Overlay appearance
+    this.elements.overlayEnabled.addEventListener('change', (e) => {
+      this.saveOverlay({ enabled: e.target.checked });
+    });
+
+    this.elements.overlaySize.addEventListener('change', (e) => {
+      this.saveOverlay({ size: e.target.value });
+    });
+
+    this.elements.overlayOpacity.addEventListener('change', (e) => {
+      this.saveOverlay({ opacity: e.target.value });
+    });
+
+    this.elements.overlayHideDelay.addEventListener('change', (e) => {
+      this.saveOverlay({ hideDelay: e.target.value });
+    });
+
+    this.elements.overlayAutoHide.addEventListener('change', (e) => {
+      this.saveOverlay({ autoHide: e.target.checked });
+    });
+
+    // Statistics
+    this.elements.statsRange.addEventListener('change', () => {
+      this.renderStats();
+    });
+
+    this.elements.statsExportBtn.addEventListener('click', () => {
+      this.exportStats();
+    });
+
+    this.elements.statsClearBtn.addEventListener('click', async () => {
+      if (!confirm('Delete all recorded watch statistics on this device?')) return;
+      await videoSpeedStorage.clearWatchStats();
+      await this.loadStats();
+      this.showSuccess('Statistics cleared');
+    });
+
+    this.elements.statsRetention.addEventListener('change', async () => {
+      await videoSpeedStorage.setStatsRetention(this.elements.statsRetention.value);
+      this.elements.statsRetention.value = await videoSpeedStorage.getStatsRetention();
+      await this.loadStats();
+      this.showSuccess('Retention saved');
+    });
+
+    // External access
+    this.elements.externalExtensionsForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      await this.saveExternalApi({ extensionIds: this.elements.externalExtensionsInput.value.split(',') });
+    });
+
+    this.elements.externalOriginsForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      await this.saveExternalApi({ pageOrigins: this.elements.externalOriginsInput.value.split(',') });
+    });
+
+    // Statistics are written by every tab; refresh when coming back to this page
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        this.loadStats();
+      }
+    });
+
+    // Backup
+    this.elements.exportBtn.addEventListener('click', async () => {
+      await this.exportSettings();
+    });
+
+    this.elements.importForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      await this.importSettings();
+    });
+  }
+
+  /**
+   * Keep the page in sync with changes made elsewhere (popup, other tabs)
+   */
+  setupStorageListener() {
+    videoSpeedStorage.onChanged((changes) => {
+      if (changes.siteRules) {
+        this.rules = changes.siteRules.newValue;
+        this.renderRules();
+      }
+
+      if (changes.contentSpeeds) {
+        this.contentSpeeds = changes.contentSpeeds.newValue;
+        this.renderContentSpeeds();
+      }
+
+      if (changes.presets) {
+        this.renderPresets(changes.presets.newValue);
+      }
+
+      if (changes.externalApi) {
+        this.renderExternalApi(changes.externalApi.newValue);
+      }
+
+      if (changes.speedRange || changes.speedStep) {
+        Promise.all([videoSpeedStorage.getSpeedRange(), videoSpeedStorage.getSpeedStep()])
+          .then(([range, step]) => this.renderSpeedSettings(range, step));
+      }
+
+      if (changes.hotkeys) {
+        this.hotkeys = changes.hotkeys.newValue;
+        this.renderHotkeys();
+      }
+
+      if (changes.rateChange) {
+        this.rateChange = changes.rateChange.newValue;
+        this.renderRateChange();
+      }
+
+      if (changes.practice) {
+        this.renderPractice(changes.practice.newValue);
+      }
+
+      if (changes.durationRules) {
+        this.durationRules = changes.durationRules.newValue;
+        this.renderDurationRules();
+      }
+
+      if (changes.ads) {
+        this.ads = changes.ads.newValue;
+        this.renderAds();
+      }
+
+      if (changes.audio) {
+        this.audio = changes.audio.newValue;
+        this.renderAudio();
+      }
+
+      if (changes.overlay) {
+        this.overlay = changes.overlay.newValue;
+        this.renderOverlay();
+      }
+    });
+  }
+
+  /**
+   * Render speed range and step fields
+   */
+  renderSpeedSettings(range, step) {
+    this.elements.speedMin.value = range.min;
+    this.elements.speedMax.value = range.max;
+    this.elements.speedStep.value = step;
+  }
+
+  /**
+   * Render the preset list
+   */
+  renderPresets(presets) {
+    if (document.activeElement === this.elements.presetInput) return;
+    this.elements.presetInput.value = presets.join(', ');
+  }
+
+  /**
+   * Let a speed field take any speed the storage layer accepts
+   */
+  setSpeedLimits(input) {
+    const { min, max } = videoSpeedStorage.SPEED_LIMITS;
+    input.min = String(min);
+    input.max = String(max);
+  }
+
+  /**
+   * Save the speed range from the min/max fields
+   */
+  async saveSpeedRange() {
+    const saved = await videoSpeedStorage.setSpeedRange({
+      min: this.elements.speedMin.value,
+      max: this.elements.speedMax.value
+    });
+
+    if (!saved) {
+      const { min, max } = videoSpeedStorage.SPEED_LIMITS;
+      this.showError(`Minimum must be below maximum, both between ${min}x and ${max}x`);
+      const range = await videoSpeedStorage.getSpeedRange();
+      this.renderSpeedSettings(range, this.elements.speedStep.value);
+      return;
+    }
+
+    this.showSuccess('Speed range saved');
+  }
+
+  /**
+   * Save the preset list
+   */
+  async savePresets(presets) {
+    await videoSpeedStorage.setPresets(presets);
+    const saved = await videoSpeedStorage.getPresets();
+    this.elements.presetInput.value = saved.join(', ');
+    this.showSuccess('Presets saved');
+  }
+
+  /**
+   * Render the extensions and pages allowed to use the external API
+   */
+  renderExternalApi(externalApi) {
+    if (document.activeElement !== this.elements.externalExtensionsInput) {
+      this.elements.externalExtensionsInput.value = externalApi.extensionIds.join(', ');
+    }
+    if (document.activeElement !== this.elements.externalOriginsInput) {
+      this.elements.externalOriginsInput.value = externalApi.pageOrigins.join(', ');
+    }
+  }
+
+  /**
+   * Save the extensions or pages allowed to use the external API, reporting entries that were dropped
+   */
+  async saveExternalApi(settings) {
+    const [key, entries] = Object.entries(settings)[0];
+    const values = entries.map(entry => entry.trim()).filter(Boolean);
+
+    await videoSpeedStorage.setExternalApiSettings({ [key]: values });
+    const saved = await videoSpeedStorage.getExternalApiSettings();
+    this.elements.externalExtensionsInput.value = saved.extensionIds.join(', ');
+    this.elements.externalOriginsInput.value = saved.pageOrigins.join(', ');
+
+    const dropped = values.length - saved[key].length;
+    if (dropped > 0) {
+      const label = key === 'extensionIds' ? 'extension ids' : 'origins';
+      this.showError(`Saved, but skipped ${dropped} invalid ${label}`);
+    } else {
+      this.showSuccess('External access saved');
+    }
+  }
+
+  /**
+   * Render the ordered list of site rules
+   */
+  renderRules() {
+    const { ruleList, ruleListEmpty } = this.elements;
+
+    // Don't rebuild the list while the user is typing in it
+    if (ruleList.contains(document.activeElement) && document.activeElement.tagName === 'INPUT') {
+      return;
+    }
+
+    ruleList.replaceChildren(...this.rules.map((rule, index) => this.createRuleRow(rule, index)));
+    ruleListEmpty.hidden = this.rules.length > 0;
+  }
+
+  /**
+   * Create the editable row for one rule
+   */
+  createRuleRow(rule, index) {
+    const row = document.createElement('li');
+    row.className = 'rule-row';
+
+    const position = document.createElement('span');
+    position.className = 'rule-index';
+    position.textContent = `${index + 1}.`;
+
+    const pattern = document.createElement('input');
+    pattern.type = 'text';
+    pattern.className = 'text-input';
+    pattern.value = rule.pattern;
+    pattern.setAttribute('aria-label', 'URL pattern');
+    pattern.addEventListener('change', () => {
+      this.updateRule(rule.id, { pattern: pattern.value });
+    });
+
+    const action = document.createElement('select');
+    action.className = 'select-input';
+    action.setAttribute('aria-label', 'Rule action');
+    Object.values(siteRules.ACTIONS).forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = siteRules.ACTION_LABELS[value];
+      action.appendChild(option);
+    });
+    action.value = rule.action;
+
+    const speed = document.createElement('input');
+    speed.type = 'number';
+    speed.className = 'number-input';
+    this.setSpeedLimits(speed);
+    speed.step = '0.05';
+    speed.value = rule.speed || 1.0;
+    speed.hidden = rule.action !== siteRules.ACTIONS.FORCE_SPEED;
+    speed.setAttribute('aria-label', 'Forced speed');
+
+    action.addEventListener('change', () => {
+      speed.hidden = action.value !== siteRules.ACTIONS.FORCE_SPEED;
+      this.updateRule(rule.id, { action: action.value, speed: speed.value });
+    });
+    speed.addEventListener('change', () => {
+      this.updateRule(rule.id, { speed: speed.value });
+    });
+
+    const moveUp = this.createButton('↑', 'Move rule up', () => this.moveRule(rule.id, -1));
+    moveUp.disabled = index === 0;
+
+    const moveDown = this.createButton('↓', 'Move rule down', () => this.moveRule(rule.id, 1));
+    moveDown.disabled = index === this.rules.length - 1;
+
+    const remove = this.createButton('Delete', 'Delete rule', () => this.deleteRule(rule.id));
+    remove.classList.add('btn-danger');
+
+    row.append(position, pattern, action, speed, moveUp, moveDown, remove);
+    return row;
+  }
+
+  /**
+   * Create a small button
+   */
+  createButton(text, label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = text.length === 1 ? 'btn btn-icon' : 'btn';
+    button.textContent = text;
+    button.setAttribute('aria-label', label);
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Add a rule from the form
+   */
+  async addRule() {
+    const rule = await videoSpeedStorage.addSiteRule({
+      pattern: this.elements.rulePattern.value,
+      action: this.elements.ruleAction.value,
+      speed: this.elements.ruleSpeed.value
+    });
+
+    if (!rule) {
+      this.showError('Enter a URL pattern and a valid speed');
+      return;
+    }
+
+    this.elements.rulePattern.value = '';
+    this.rules = await videoSpeedStorage.getSiteRules();
+    this.renderRules();
+    this.showSuccess(`Added rule for ${rule.pattern}`);
+  }
+
+  /**
+   * Save changes to a rule
+   */
+  async updateRule(ruleId, changes) {
+    if (changes.pattern !== undefined && !changes.pattern.trim()) {
+      this.showError('Pattern cannot be empty');
+      this.renderRules();
+      return;
+    }
+
+    await videoSpeedStorage.updateSiteRule(ruleId, changes);
+    this.rules = await videoSpeedStorage.getSiteRules();
+    this.showSuccess('Rule saved');
+  }
+
+  /**
+   * Move a rule up or down
+   */
+  async moveRule(ruleId, offset) {
+    await videoSpeedStorage.moveSiteRule(ruleId, offset);
+    this.rules = await videoSpeedStorage.getSiteRules();
+    this.renderRules();
+  }
+
+  /**
+   * Delete a rule
+   */
+  async deleteRule(ruleId) {
+    await videoSpeedStorage.deleteSiteRule(ruleId);
+    this.rules = await videoSpeedStorage.getSiteRules();
+    this.renderRules();
+    this.showSuccess('Rule deleted');
+  }
+
+  /**
+   * Get the content keys that match the search box, sorted
+   */
+  getVisibleContentKeys() {
+    const query = this.elements.contentSearch.value.trim().toLowerCase();
+    return Object.keys(this.contentSpeeds)
+      .filter(key => !query || key.toLowerCase().includes(query))
+      .sort();
+  }
+
+  /**
+   * Render the table of saved content speeds
+   */
+  renderContentSpeeds() {
+    const keys = this.getVisibleContentKeys();
+
+    // Forget selections for content that no longer exists
+    this.selectedContent.forEach(key => {
+      if (!(key in this.contentSpeeds)) this.selectedContent.delete(key);
+    });
+
+    if (this.elements.contentTableBody.contains(document.activeElement)) return;
+
+    const rows = keys.map(key => {
+      const row = document.createElement('tr');
+
+      const selectCell = document.createElement('td');
+      const select = document.createElement('input');
+      select.type = 'checkbox';
+      select.checked = this.selectedContent.has(key);
+      select.setAttribute('aria-label', `Select ${key}`);
+      select.addEventListener('change', () => {
+        if (select.checked) {
+          this.selectedContent.add(key);
+        } else {
+          this.selectedContent.delete(key);
+        }
+        this.updateContentSelection();
+      });
+      selectCell.appendChild(select);
+
+      const keyCell = document.createElement('td');
+      keyCell.textContent = key;
+
+      const speedCell = document.createElement('td');
+      const speed = document.createElement('input');
+      speed.type = 'number';
+      speed.className = 'number-input';
+      speed.min = '0.1';
+      speed.max = '16';
+      speed.step = '0.05';
+      speed.value = this.contentSpeeds[key];
+      speed.setAttribute('aria-label', `Speed for ${key}`);
+      speed.addEventListener('change', async () => {
+        const value = parseFloat(speed.value);
+        if (!Number.isFinite(value)) {
+          speed.value = this.contentSpeeds[key];
+          return;
+        }
+        await videoSpeedStorage.setContentSpeed(key, value);
+        this.showSuccess(`Saved speed for ${key}`);
+      });
+      speedCell.appendChild(speed);
+
+      row.append(selectCell, keyCell, speedCell);
+      return row;
+    });
+
+    this.elements.contentTableBody.replaceChildren(...rows);
+    this.elements.contentEmpty.hidden = rows.length > 0;
+    this.elements.contentEmpty.textContent = Object.keys(this.contentSpeeds).length > 0
+      ? 'No saved content matches the search.'
+      : 'No saved content speeds.';
+    this.updateContentSelection();
+  }
+
+  /**
+   * Update the bulk selection controls
+   */
+  updateContentSelection() {
+    const visible = this.getVisibleContentKeys();
+    const selectedVisible = visible.filter(key => this.selectedContent.has(key));
+
+    this.elements.contentSelectAll.checked = visible.length > 0 && selectedVisible.length === visible.length;
+    this.elements.contentSelectAll.indeterminate = selectedVisible.length > 0 && selectedVisible.length < visible.length;
+    this.elements.contentDeleteBtn.disabled = this.selectedContent.size === 0;
+    this.elements.contentDeleteBtn.textContent = this.selectedContent.size > 0
+      ? `Delete selected (${this.selectedContent.size})`
+      : 'Delete selected';
+  }
+
+  /**
+   * Delete all selected content speeds
+   */
+  async deleteSelectedContent() {
+    const keys = Array.from(this.selectedContent);
+    if (keys.length === 0) return;
+
+    await videoSpeedStorage.deleteContentSpeeds(keys);
+    this.selectedContent.clear();
+    this.contentSpeeds = await videoSpeedStorage.getContentSpeeds();
+    this.renderContentSpeeds();
+    this.showSuccess(`Deleted ${keys.length} saved speed${keys.length === 1 ? '' : 's'}`);
+  }
+
+  /**
+   * Render in-page hotkey preferences
+   */
+  renderHotkeys() {
+    this.elements.hotkeysEnabled.checked = this.hotkeys.enabled;
+    this.elements.hotkeyInputs.forEach(input => {
+      input.value = this.hotkeys[input.dataset.hotkey] || '';
+      input.disabled = !this.hotkeys.enabled;
+    });
+  }
+
+  /**
+   * Save in-page hotkey preferences
+   */
+  async saveHotkeys(hotkeys) {
+    await videoSpeedStorage.setHotkeys(hotkeys);
+    this.hotkeys = await videoSpeedStorage.getHotkeys();
+    this.renderHotkeys();
+    this.showSuccess('Hotkeys saved');
+  }
+
+  /**
+   * Render the skip length and frame rate of the practice controls
+   */
+  renderPractice(practice) {
+    this.elements.practiceSkipSeconds.value = practice.skipSeconds;
+    this.elements.practiceFrameRate.value = practice.frameRate;
+  }
+
+  /**
+   * Render the rate change policy
+   */
+  renderRateChange() {
+    this.elements.rateChangeMode.value = this.rateChange.mode;
+    this.elements.rateChangeMaxConflicts.value = this.rateChange.maxConflicts;
+    this.elements.rateChangeMaxConflicts.disabled = this.rateChange.mode !== 'ignore';
+  }
+
+  /**
+   * Save the rate change policy
+   */
+  async saveRateChange(settings) {
+    await videoSpeedStorage.setRateChangeSettings(settings);
+    this.rateChange = await videoSpeedStorage.getRateChangeSettings();
+    this.renderRateChange();
+    this.showSuccess('Site speed change settings saved');
+  }
+
+  /**
+   * Render the live stream and short clip rules
+   */
+  renderDurationRules() {
+    this.elements.durationLive.value = this.durationRules.live;
+    this.elements.durationCatchUpSpeed.value = this.durationRules.catchUpSpeed;
+    this.elements.durationCatchUpThreshold.value = this.durationRules.catchUpThreshold;
+    this.elements.durationShortClip.value = this.durationRules.shortClipLength;
+
+    const catchUp = this.durationRules.live === 'catchUp';
+    this.elements.durationCatchUpSpeed.disabled = !catchUp;
+    this.elements.durationCatchUpThreshold.disabled = !catchUp;
+  }
+
+  /**
+   * Save the live stream and short clip rules
+   */
+  async saveDurationRules(rules) {
+    await videoSpeedStorage.setDurationRules(rules);
+    this.durationRules = await videoSpeedStorage.getDurationRules();
+    this.renderDurationRules();
+    this.showSuccess('Live stream and clip rules saved');
+  }
+
+  /**
+   * Render how ads are played
+   */
+  renderAds() {
+    this.elements.adAction.value = this.ads.action;
+    this.elements.adSpeed.value = this.ads.speed;
+    // The ad speed is used when chosen, and by sites that pick it themselves
+    this.elements.adSpeed.disabled = !['auto', 'adSpeed'].includes(this.ads.action);
+  }
+
+  /**
+   * Save how ads are played
+   */
+  async saveAds(settings) {
+    await videoSpeedStorage.setAdSettings(settings);
+    this.ads = await videoSpeedStorage.getAdSettings();
+    this.renderAds();
+    this.showSuccess('Ad settings saved');
+  }
+
+  /**
+   * Render pitch correction and volume boost settings
+   */
+  renderAudio() {
+    this.elements.audioPreservesPitch.checked = this.audio.preservesPitch;
+    this.elements.audioBoost.checked = this.audio.boost;
+    this.elements.audioBoostGain.value = this.audio.boostGain;
+    this.elements.audioBoostGain.disabled = !this.audio.boost;
+    this.elements.audioBoostMinSpeed.value = this.audio.boostMinSpeed;
+    this.elements.audioBoostMinSpeed.disabled = !this.audio.boost;
+  }
+
+  /**
+   * Save pitch correction and volume boost settings
+   */
+  async saveAudio(settings) {
+    await videoSpeedStorage.setAudioSettings(settings);
+    this.audio = await videoSpeedStorage.getAudioSettings();
+    this.renderAudio();
+    this.showSuccess('Pitch and volume settings saved');
+  }
+
+  /**
+   * Render overlay appearance settings
+   */
+  renderOverlay() {
+    this.elements.overlayEnabled.checked = this.overlay.enabled;
+    this.elements.overlaySize.value = this.overlay.size;
+    this.elements.overlayOpacity.value = this.overlay.opacity;
+    this.elements.overlayHideDelay.value = this.overlay.hideDelay;
+    this.elements.overlayHideDelay.disabled = !this.overlay.autoHide;
+    this.elements.overlayAutoHide.checked = this.overlay.autoHide;
+  }
+
+  /**
+   * Save overlay appearance settings
+   */
+  async saveOverlay(settings) {
+    await videoSpeedStorage.setOverlaySettings(settings);
+    this.overlay = await videoSpeedStorage.getOverlaySettings();
+    this.renderOverlay();
+    this.showSuccess('Overlay settings saved');
+  }
+
+  /**
+   * Load watch statistics and render them
+   */
+  async loadStats() {
+    this.stats = await videoSpeedStorage.getWatchStats();
+    this.renderStats();
+  }
+
+  /**
+   * Get the statistics records within the selected period
+   * @returns {Array<{day: string, site: string, contentKey: string, label: string, watched: number, media: number}>} Records
+   */
+  getStatsRecords() {
+    const range = this.elements.statsRange.value;
+    let oldest = '';
+    if (range !== 'all') {
+      const cutoff = new Date();
+      cutoff.setDate(cutoff.getDate() - parseInt(range, 10) + 1);
+      oldest = videoSpeedStorage.formatDay(cutoff);
+    }
+
+    const records = [];
+    Object.keys(this.stats).sort().forEach(day => {
+      if (day < oldest) return;
+      Object.entries(this.stats[day]).forEach(([site, contents]) => {
+        Object.entries(contents).forEach(([contentKey, entry]) => {
+          records.push({ day, site, contentKey, label: entry.label, watched: entry.watched, media: entry.media });
+        });
+      });
+    });
+    return records;
+  }
+
+  /**
+   * Format a number of seconds as hours and minutes (or minutes and seconds)
+   */
+  formatDuration(seconds) {
+    const sign = seconds < 0 ? '\u2212' : '';
+    const total = Math.round(Math.abs(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+
+    if (hours > 0) return `${sign}${hours}h ${minutes}m`;
+    if (minutes > 0) return `${sign}${minutes}m ${total % 60}s`;
+    return `${sign}${total}s`;
+  }
+
+  /**
+   * Render totals and the per-site breakdown for the selected period
+   */
+  renderStats() {
+    const records = this.getStatsRecords();
+    const totals = { watched: 0, media: 0 };
+    const sites = new Map();
+
+    records.forEach(record => {
+      totals.watched += record.watched;
+      totals.media += record.media;
+
+      const site = sites.get(record.site) || { watched: 0, media: 0 };
+      site.watched += record.watched;
+      site.media += record.media;
+      sites.set(record.site, site);
+    });
+
+    this.elements.statsWatched.textContent = this.formatDuration(totals.watched);
+    this.elements.statsMedia.textContent = this.formatDuration(totals.media);
+    this.elements.statsSaved.textContent = this.formatDuration(totals.media - totals.watched);
+
+    const rows = Array.from(sites)
+      .sort(([, a], [, b]) => b.watched - a.watched)
+      .map(([hostname, site]) => {
+        const row = document.createElement('tr');
+        const cells = [
+          hostname,
+          this.formatDuration(site.watched),
+          this.formatDuration(site.media - site.watched),
+          site.watched > 0 ? `${(site.media / site.watched).toFixed(2)}x` : '\u2013'
+        ];
+        cells.forEach((text, index) => {
+          const cell = document.createElement('td');
+          cell.textContent = text;
+          if (index > 0) cell.className = 'col-number';
+          row.appendChild(cell);
+        });
+        return row;
+      });
+
+    this.elements.statsTableBody.replaceChildren(...rows);
+    this.elements.statsEmpty.hidden = rows.length > 0;
+    this.elements.statsExportBtn.disabled = rows.length === 0;
+  }
+
+  /**
+   * Download the statistics for the selected period as CSV
+   */
+  exportStats() {
+    // Labels come from page titles: a leading = + - @ or tab would run as a formula in a spreadsheet
+    const escapeText = value => {
+      const text = /^[=+\-@\t]/.test(String(value)) ? `'${value}` : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const header = ['date', 'site', 'content_key', 'content_label', 'watched_seconds', 'media_seconds', 'saved_seconds'];
+    const lines = this.getStatsRecords().map(record => [
+      record.day,
+      ...[record.site, record.contentKey, record.label].map(escapeText),
+      record.watched.toFixed(1),
+      record.media.toFixed(1),
+      (record.media - record.watched).toFixed(1)
+    ].join(','));
+
+    const blob = new Blob([[header.join(','), ...lines].join('\n') + '\n'], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `video-speed-statistics-${videoSpeedStorage.formatDay(new Date())}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    this.showSuccess('Statistics exported');
+  }
+
+  /**
+   * Download all shareable settings as a JSON file
+   */
+  async exportSettings() {
+    const backup = await videoSpeedStorage.exportSettings();
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `video-speed-controller-${backup.exportedAt.slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    this.showSuccess('Settings exported');
+  }
+
+  /**
+   * Import settings from the chosen backup file
+   */
+  async importSettings() {
+    const file = this.elements.importFile.files[0];
+    if (!file) {
+      this.showError('Choose a backup file first');
+      return;
+    }
+
+    let backup;
+    try {
+      backup = JSON.parse(await file.text());
+    } catch (error) {
+      this.renderImportErrors(['File is not valid JSON']);
+      this.showError('Import failed');
+      return;
+    }
+
+    const mode = this.elements.importMode.value;
+    if (mode === 'replace' && videoSpeedStorage.validateBackup(backup).length === 0 &&
+        !confirm('Replace your default speed, presets, saved content speeds and site rules with this backup?')) {
+      return;
+    }
+
+    const result = await videoSpeedStorage.importSettings(backup, mode);
+    this.renderImportErrors(result.errors);
+    if (!result.imported) {
+      this.showError('Import failed');
+      return;
+    }
+
+    // Storage listener re-renders rules, content speeds and presets
+    this.elements.importForm.reset();
+    this.showSuccess(mode === 'replace' ? 'Settings replaced from backup' : 'Backup merged into settings');
+  }
+
+  /**
+   * Show the problems found in an imported file
+   */
+  renderImportErrors(errors) {
+    const items = errors.map(error => {
+      const item = document.createElement('li');
+      item.textContent = error;
+      return item;
+    });
+    this.elements.importErrors.replaceChildren(...items);
+    this.elements.importErrors.hidden = items.length === 0;
+  }
+
+  /**
+   * Show which rule applies to the URL in the tester
+   */
+  testUrl() {
+    const url = this.elements.ruleTestUrl.value.trim();
+    if (!url) return;
+
+    try {
+      new URL(url);
+    } catch (error) {
+      this.elements.ruleTestResult.textContent = 'Enter a full URL, including https://';
+      return;
+    }
+
+    const rule = siteRules.findMatch(this.rules, url);
+    if (!rule) {
+      this.elements.ruleTestResult.textContent = 'No rule matches. Speeds are remembered per content.';
+      return;
+    }
+
+    const index = this.rules.indexOf(rule) + 1;
+    const action = rule.action === siteRules.ACTIONS.FORCE_SPEED
+      ? `${siteRules.ACTION_LABELS[rule.action]} ${rule.speed}x`
+      : siteRules.ACTION_LABELS[rule.action];
+    this.elements.ruleTestResult.textContent = `Rule ${index} (${rule.pattern}) matches: ${action}`;
+  }
+
+  /**
+   * Show error message
+   */
+  showError(message) {
+    this.showStatus(message, 'error');
+  }
+
+  /**
+   * Show success message
+   */
+  showSuccess(message) {
+    this.showStatus(message, 'success');
+  }
+
+  /**
+   * Show a short status message at the bottom of the page
+   */
+  showStatus(message, type) {
+    const { status } = this.elements;
+    status.textContent = message;
+    status.className = `status visible ${type}`;
+
+    clearTimeout(this.statusTimer);
+    this.statusTimer = setTimeout(() => {
+      status.classList.remove('visible');
+    }, 3000);
+  }
+}
+
+// Initialize options page when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    new OptionsController();
+  });
+} else {
+  new OptionsController();
+}
\ No newline at end of file
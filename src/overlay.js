@@ -0,0 +1,383 @@
+/**
+ * On-video Speed Overlay for Video Speed Controller
+ * Small draggable HUD showing the current rate with inline controls
+ */
+
+class SpeedOverlay {
+  /**
+   * @param {HTMLVideoElement} video - Video the overlay is attached to
+   * @param {{size: string, opacity: number, autoHide: boolean, hideDelay: number}} appearance - Overlay appearance
+   * @param {{onAdjust: function(number), onReset: function(), onDestroy: function()}} callbacks - Control handlers;
+   *   onAdjust receives -1 (slower) or 1 (faster)
+   */
+  constructor(video, appearance, callbacks) {
+    this.video = video;
+    this.appearance = appearance;
+    this.callbacks = callbacks;
+    this.host = null;
+    this.root = null;
+    this.offset = { x: 12, y: 12 };
+    this.idleTimer = null;
+    this.frameRequest = null;
+    this.resizeObserver = null;
+
+    this.SIZES = {
+      small: { fontSize: 11, buttonSize: 18 },
+      medium: { fontSize: 13, buttonSize: 22 },
+      large: { fontSize: 16, buttonSize: 28 }
+    };
+    this.MIN_VIDEO_WIDTH = 160;
+    this.MIN_VIDEO_HEIGHT = 90;
+
+    this.handleRateChange = () => this.updateSpeed();
+    this.handleLayoutChange = () => this.schedulePosition();
+    this.handleFullscreenChange = () => this.handleFullscreen();
+    this.handleMouseMove = (e) => this.handlePointerActivity(e);
+  }
+
+  /**
+   * Create the overlay and start following the video
+   */
+  attach() {
+    if (this.host) return;
+
+    // Shadow root keeps the page's styles out and ours in
+    this.host = document.createElement('div');
+    this.host.setAttribute('data-speed-controller-overlay', 'true');
+    this.host.style.cssText = 'all: initial; position: fixed; z-index: 2147483646; top: 0; left: 0;';
+    this.root = this.host.attachShadow({ mode: 'closed' });
+    this.root.innerHTML = `
+      <style>
+        .hud {
+          display: flex;
+          align-items: center;
+          gap: 2px;
+          padding: 2px;
+          border-radius: 6px;
+          background: rgba(0, 0, 0, var(--hud-opacity, 0.7));
+          color: #ffffff;
+          font: 600 var(--hud-font-size, 13px) -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          user-select: none;
+          opacity: 1;
+          transition: opacity 0.3s ease;
+        }
+        .hud.idle {
+          opacity: 0;
+        }
+        .hud.idle:hover {
+          opacity: 1;
+        }
+        .speed {
+          min-width: 44px;
+          padding: 2px 6px;
+          text-align: center;
+          cursor: move;
+        }
+        button {
+          width: var(--hud-button-size, 22px);
+          height: var(--hud-button-size, 22px);
+          padding: 0;
+          border: none;
+          border-radius: 4px;
+          background: transparent;
+          color: inherit;
+          font: inherit;
+          line-height: var(--hud-button-size, 22px);
+          cursor: pointer;
+        }
+        button:hover {
+          background: rgba(255, 255, 255, 0.2);
+        }
+        .saved {
+          padding: 2px 6px 2px 2px;
+          font-weight: 400;
+          opacity: 0.8;
+        }
+        .saved[hidden] {
+          display: none;
+        }
+        .ramp {
+          position: relative;
+          width: 32px;
+          height: 4px;
+          margin: 0 6px 0 2px;
+          border-radius: 2px;
+          background: rgba(255, 255, 255, 0.25);
+          overflow: hidden;
+        }
+        .ramp[hidden] {
+          display: none;
+        }
+        .ramp-fill {
+          position: absolute;
+          inset: 0 auto 0 0;
+          width: 0;
+          background: #ffffff;
+          transition: width 0.3s ease;
+        }
+      </style>
+      <div class="hud" part="hud">
+        <button class="slower" title="Slower" aria-label="Decrease speed">&minus;</button>
+        <span class="speed" title="Drag to move"></span>
+        <button class="faster" title="Faster" aria-label="Increase speed">+</button>
+        <button class="reset" title="Reset speed" aria-label="Reset speed">&#8634;</button>
+        <span class="saved" title="Time saved by skipping silence" hidden></span>
+        <span class="ramp" title="Speed ramp progress" hidden><span class="ramp-fill"></span></span>
+      </div>
+    `;
+
+    this.hud = this.root.querySelector('.hud');
+    this.speedLabel = this.root.querySelector('.speed');
+    this.savedLabel = this.root.querySelector('.saved');
+    this.rampBar = this.root.querySelector('.ramp');
+
+    this.setAppearance(this.appearance);
+    this.setupControls();
+    this.setupDragging();
+
+    this.video.addEventListener('ratechange', this.handleRateChange);
+    window.addEventListener('scroll', this.handleLayoutChange, { capture: true, passive: true });
+    window.addEventListener('resize', this.handleLayoutChange);
+    document.addEventListener('fullscreenchange', this.handleFullscreenChange);
+    document.addEventListener('mousemove', this.handleMouseMove, { passive: true });
+
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(this.handleLayoutChange);
+      this.resizeObserver.observe(this.video);
+    }
+
+    this.getContainer().appendChild(this.host);
+    this.updateSpeed();
+  }
+
+  /**
+   * Wire up the −/+/reset buttons
+   */
+  setupControls() {
+    const actions = {
+      slower: () => this.callbacks.onAdjust(-1),
+      faster: () => this.callbacks.onAdjust(1),
+      reset: () => this.callbacks.onReset()
+    };
+
+    Object.entries(actions).forEach(([name, action]) => {
+      this.root.querySelector(`.${name}`).addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        action();
+      });
+    });
+
+    // Keep clicks on the HUD from reaching the player (play/pause, fullscreen)
+    ['pointerdown', 'mousedown', 'mouseup', 'click', 'dblclick'].forEach(type => {
+      this.hud.addEventListener(type, (e) => e.stopPropagation());
+    });
+  }
+
+  /**
+   * Let the user drag the HUD anywhere over the video
+   */
+  setupDragging() {
+    this.speedLabel.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      this.speedLabel.setPointerCapture(e.pointerId);
+
+      const start = { x: e.clientX, y: e.clientY, offsetX: this.offset.x, offsetY: this.offset.y };
+
+      const onMove = (moveEvent) => {
+        const rect = this.video.getBoundingClientRect();
+        const hudRect = this.hud.getBoundingClientRect();
+        this.offset.x = Math.max(0, Math.min(rect.width - hudRect.width,
+          start.offsetX + moveEvent.clientX - start.x));
+        this.offset.y = Math.max(0, Math.min(rect.height - hudRect.height,
+          start.offsetY + moveEvent.clientY - start.y));
+        this.position();
+      };
+
+      const onUp = () => {
+        this.speedLabel.removeEventListener('pointermove', onMove);
+        this.speedLabel.removeEventListener('pointerup', onUp);
+        this.speedLabel.removeEventListener('pointercancel', onUp);
+      };
+
+      this.speedLabel.addEventListener('pointermove', onMove);
+      this.speedLabel.addEventListener('pointerup', onUp);
+      this.speedLabel.addEventListener('pointercancel', onUp);
+    });
+  }
+
+  /**
+   * Apply size, opacity and auto-hide settings
+   */
+  setAppearance(appearance) {
+    this.appearance = appearance;
+    if (!this.hud) return;
+
+    const size = this.SIZES[appearance.size] || this.SIZES.medium;
+    this.hud.style.setProperty('--hud-font-size', `${size.fontSize}px`);
+    this.hud.style.setProperty('--hud-button-size', `${size.buttonSize}px`);
+    this.hud.style.setProperty('--hud-opacity', String(appearance.opacity));
+    this.show();
+  }
+
+  /**
+   * Element the overlay lives in (the fullscreen element, if any, so it stays visible)
+   */
+  getContainer() {
+    const fullscreen = document.fullscreenElement;
+    // A fullscreen <video> cannot have children, so fall back to the body
+    return fullscreen && fullscreen.tagName !== 'VIDEO' ? fullscreen : document.body;
+  }
+
+  /**
+   * Move the overlay into or out of the fullscreen element
+   */
+  handleFullscreen() {
+    if (!this.host) return;
+
+    const container = this.getContainer();
+    if (this.host.parentNode !== container) {
+      container.appendChild(this.host);
+    }
+    this.show();
+  }
+
+  /**
+   * Show the overlay while the pointer is over the video
+   */
+  handlePointerActivity(e) {
+    const rect = this.video.getBoundingClientRect();
+    if (e.clientX >= rect.left && e.clientX <= rect.right &&
+        e.clientY >= rect.top && e.clientY <= rect.bottom) {
+      this.show();
+    }
+  }
+
+  /**
+   * Update the displayed rate and reveal the overlay
+   */
+  updateSpeed() {
+    if (!this.speedLabel) return;
+
+    const rate = Math.round(this.video.playbackRate * 100) / 100;
+    this.speedLabel.textContent = `${rate}x`;
+    this.show();
+  }
+
+  /**
+   * Show how much time silence skipping has saved on this page
+   * @param {number} seconds - Time saved, in seconds
+   */
+  setTimeSaved(seconds) {
+    if (!this.savedLabel) return;
+
+    const total = Math.floor(seconds);
+    this.savedLabel.hidden = total < 1;
+    this.savedLabel.textContent = total >= 60
+      ? `\u2212${Math.floor(total / 60)}m ${String(total % 60).padStart(2, '0')}s`
+      : `\u2212${total}s`;
+  }
+
+  /**
+   * Show how far a speed ramp has got
+   * @param {number|null} progress - Share of the ramp done, from 0 to 1, or null when no ramp runs
+   */
+  setRampProgress(progress) {
+    if (!this.rampBar) return;
+
+    this.rampBar.hidden = progress === null;
+    if (progress === null) return;
+
+    const percent = Math.round(progress * 100);
+    this.rampBar.firstElementChild.style.width = `${percent}%`;
+    this.rampBar.title = percent >= 100 ? 'Speed ramp complete' : `Speed ramp ${percent}% done`;
+  }
+
+  /**
+   * Reveal the overlay and fade it out again after a short idle period
+   */
+  show() {
+    if (!this.hud) return;
+
+    this.position();
+    this.hud.classList.remove('idle');
+
+    clearTimeout(this.idleTimer);
+    if (!this.appearance.autoHide) return;
+
+    this.idleTimer = setTimeout(() => {
+      this.hud.classList.add('idle');
+    }, this.appearance.hideDelay * 1000);
+  }
+
+  /**
+   * Reposition on the next animation frame
+   */
+  schedulePosition() {
+    if (this.frameRequest) return;
+    this.frameRequest = requestAnimationFrame(() => {
+      this.frameRequest = null;
+      this.position();
+    });
+  }
+
+  /**
+   * Place the overlay over the top-left corner of the video (plus any drag offset)
+   */
+  position() {
+    if (!this.host) return;
+
+    if (!this.video.isConnected) {
+      this.destroy();
+      return;
+    }
+
+    const rect = this.video.getBoundingClientRect();
+    const visible = rect.width >= this.MIN_VIDEO_WIDTH && rect.height >= this.MIN_VIDEO_HEIGHT;
+
+    this.host.style.display = visible ? 'block' : 'none';
+    if (!visible) return;
+
+    // Keep the HUD inside the video when the video shrinks
+    const hudRect = this.hud.getBoundingClientRect();
+    const x = Math.max(0, Math.min(rect.width - hudRect.width, this.offset.x));
+    const y = Math.max(0, Math.min(rect.height - hudRect.height, this.offset.y));
+
+    this.host.style.transform = `translate(${rect.left + x}px, ${rect.top + y}px)`;
+  }
+
+  /**
+   * Remove the overlay and all of its listeners
+   */
+  destroy() {
+    if (!this.host) return;
+
+    clearTimeout(this.idleTimer);
+    if (this.frameRequest) {
+      cancelAnimationFrame(this.frameRequest);
+      this.frameRequest = null;
+    }
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+
+    this.video.removeEventListener('ratechange', this.handleRateChange);
+    window.removeEventListener('scroll', this.handleLayoutChange, { capture: true });
+    window.removeEventListener('resize', this.handleLayoutChange);
+    document.removeEventListener('fullscreenchange', this.handleFullscreenChange);
+    document.removeEventListener('mousemove', this.handleMouseMove);
+
+    this.host.remove();
+    this.host = null;
+    this.root = null;
+    this.hud = null;
+    this.speedLabel = null;
+    this.savedLabel = null;
+    this.rampBar = null;
+
+    if (this.callbacks.onDestroy) {
+      this.callbacks.onDestroy();
+    }
+  }
+}
\ No newline at end of file
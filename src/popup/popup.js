@@ -9,7 +9,30 @@ class PopupController {
     this.currentState = {
       enabled: true,
       currentSpeed: 1.0,
-      defaultSpeed: 1.0
+      defaultSpeed: 1.0,
+      speedSource: 'default',
+      contentKey: null,
+      contentLabel: null,
+      presets: [],
+      speedStep: 0.1,
+      speedRange: { min: 0.5, max: 5.0 },
+      hostname: null,
+      overlayEnabled: true,
+      mediaType: 'both',
+      rateChangeMode: 'enforce',
+      silence: null,
+      subtitles: null,
+      effectiveRate: null,
+      audio: null,
+      adPlaying: false,
+      durationRule: null,
+      loop: null,
+      ramp: null,
+      skipSeconds: 5,
+      mediaCounts: { video: 0, audio: 0 },
+      frames: [],
+      siteRule: null,
+      blockedByRule: false
     };
 
     // DOM elements
@@ -17,12 +40,62 @@ class PopupController {
       enabledToggle: document.getElementById('enabledToggle'),
       speedSlider: document.getElementById('speedSlider'),
       sliderValue: document.getElementById('sliderValue'),
+      sliderMin: document.getElementById('sliderMin'),
+      sliderMax: document.getElementById('sliderMax'),
+      speedSource: document.getElementById('speedSource'),
+      preservePitchToggle: document.getElementById('preservePitchToggle'),
+      boostOption: document.getElementById('boostOption'),
+      boostToggle: document.getElementById('boostToggle'),
+      practiceButtons: document.getElementById('practiceButtons'),
+      rewindBtn: document.getElementById('rewindBtn'),
+      advanceBtn: document.getElementById('advanceBtn'),
+      loopStatus: document.getElementById('loopStatus'),
+      rampStatus: document.getElementById('rampStatus'),
+      rampBtn: document.getElementById('rampBtn'),
+      rampFields: document.getElementById('rampFields'),
+      rampFrom: document.getElementById('rampFrom'),
+      rampTo: document.getElementById('rampTo'),
+      rampMinutes: document.getElementById('rampMinutes'),
+      rampRemember: document.getElementById('rampRemember'),
+      rampStartBtn: document.getElementById('rampStartBtn'),
+      framePicker: document.getElementById('framePicker'),
+      frameSelect: document.getElementById('frameSelect'),
+      saveContentBtn: document.getElementById('saveContentBtn'),
+      clearContentBtn: document.getElementById('clearContentBtn'),
       mainContent: document.getElementById('mainContent'),
       disabledOverlay: document.getElementById('disabledOverlay'),
       loadingOverlay: document.getElementById('loadingOverlay'),
-      presetButtons: document.querySelectorAll('.preset-btn')
+      presetContainer: document.getElementById('presetButtons'),
+      settingsBtn: document.getElementById('settingsBtn'),
+      mediaTypeSelect: document.getElementById('mediaTypeSelect'),
+      mediaCounts: document.getElementById('mediaCounts'),
+      rateChangeSelect: document.getElementById('rateChangeSelect'),
+      mediaListContainer: document.getElementById('mediaListContainer'),
+      mediaList: document.getElementById('mediaList'),
+      effectiveRate: document.getElementById('effectiveRate'),
+      subtitleToggle: document.getElementById('subtitleToggle'),
+      subtitleHint: document.getElementById('subtitleHint'),
+      subtitleOptions: document.getElementById('subtitleOptions'),
+      subtitleWordsPerSecond: document.getElementById('subtitleWordsPerSecond'),
+      subtitleSlowdown: document.getElementById('subtitleSlowdown'),
+      subtitleSpeedup: document.getElementById('subtitleSpeedup'),
+      silenceToggle: document.getElementById('silenceToggle'),
+      silenceHint: document.getElementById('silenceHint'),
+      silenceOptions: document.getElementById('silenceOptions'),
+      silenceThreshold: document.getElementById('silenceThreshold'),
+      silenceMinDuration: document.getElementById('silenceMinDuration'),
+      silenceSpeed: document.getElementById('silenceSpeed'),
+      overlayToggle: document.getElementById('overlayToggle'),
+      overlayHint: document.getElementById('overlayHint')
     };
 
+    this.mediaElements = [];
+    // Frame commands go to (null = every frame)
+    this.targetFrameId = null;
+    // Polls the page for the rate its media plays at, which subtitle pacing changes on its own
+    this.effectiveRateTimer = null;
+    this.EFFECTIVE_RATE_INTERVAL = 1000;
+
     this.init();
   }
 
@@ -46,6 +119,12 @@ class PopupController {
       this.updateUI();
       
       this.showLoading(false);
+
+      // Individual media elements in every frame
+      await this.loadMediaList();
+
+      // Keep the rate the media actually plays at up to date while the popup is open
+      this.effectiveRateTimer = setInterval(() => this.refreshEffectiveRate(), this.EFFECTIVE_RATE_INTERVAL);
     } catch (error) {
       console.error('Video Speed Controller: Error initializing popup:', error);
       this.showError('Failed to load extension settings');
@@ -77,18 +156,45 @@ class PopupController {
       // Load basic settings
       this.currentState.enabled = await window.videoSpeedStorage.getEnabled();
       this.currentState.defaultSpeed = await window.videoSpeedStorage.getDefaultSpeed();
+      this.currentState.presets = await window.videoSpeedStorage.getPresets();
+      this.currentState.speedStep = await window.videoSpeedStorage.getSpeedStep();
+      this.currentState.skipSeconds = (await window.videoSpeedStorage.getPracticeSettings()).skipSeconds;
+      this.currentState.speedRange = await window.videoSpeedStorage.getSpeedRange();
 
       if (this.currentTab) {
-        // Try to get state from content script
+        // Get the tab's state, merged from the content scripts in all of its frames
         try {
-          const response = await chrome.tabs.sendMessage(this.currentTab.id, {
-            action: 'getCurrentState'
+          const response = await chrome.runtime.sendMessage({
+            action: 'getTabState',
+            tabId: this.currentTab.id,
+            frameId: this.targetFrameId
           });
-          
-          if (response && response.success && response.state) {
-            this.currentState.enabled = response.state.enabled || this.currentState.enabled;
-            this.currentState.currentSpeed = response.state.currentSpeed || this.currentState.currentSpeed;
+
+          if (!response || !response.success || !response.state) {
+            throw new Error('No frame answered');
           }
+
+          this.currentState.enabled = response.state.enabled || this.currentState.enabled;
+          this.currentState.currentSpeed = response.state.currentSpeed || this.currentState.currentSpeed;
+          this.currentState.speedSource = response.state.speedSource || this.currentState.speedSource;
+          this.currentState.contentKey = response.state.contentKey || null;
+          this.currentState.contentLabel = response.state.contentLabel || null;
+          this.currentState.hostname = response.state.hostname || null;
+          this.currentState.overlayEnabled = response.state.overlayEnabled !== false;
+          this.currentState.mediaType = response.state.mediaType || this.currentState.mediaType;
+          this.currentState.rateChangeMode = response.state.rateChangeMode || this.currentState.rateChangeMode;
+          this.currentState.silence = response.state.silence || null;
+          this.currentState.subtitles = response.state.subtitles || null;
+          this.currentState.effectiveRate = response.state.effectiveRate || null;
+          this.currentState.audio = response.state.audio || null;
+          this.currentState.adPlaying = Boolean(response.state.adPlaying);
+          this.currentState.durationRule = response.state.durationRule || null;
+          this.currentState.loop = response.state.loop || null;
+          this.currentState.ramp = response.state.ramp || null;
+          this.currentState.mediaCounts = response.state.mediaCounts || this.currentState.mediaCounts;
+          this.currentState.siteRule = response.state.siteRule || null;
+          this.currentState.blockedByRule = Boolean(response.state.blockedByRule);
+          this.currentState.frames = response.state.frames || [];
         } catch (error) {
           // Content script might not be loaded yet
           console.log('Content script not ready, using default state');
@@ -137,24 +243,129 @@ class PopupController {
       });
 
       // Preset buttons
-      this.elements.presetButtons.forEach(button => {
-        button.addEventListener('click', async () => {
-          const speed = parseFloat(button.dataset.speed);
-          // Update the slider value
-          this.elements.speedSlider.value = speed;
-          this.updateSliderValue(speed);
-          // Set as default speed
-          await this.setDefaultSpeed(speed);
-          // Apply to current video
-          await this.setCurrentSpeed(speed);
+      this.elements.presetContainer.addEventListener('click', async (e) => {
+        const button = e.target.closest('.preset-btn');
+        if (!button) return;
+
+        const speed = parseFloat(button.dataset.speed);
+        // Update the slider value
+        this.elements.speedSlider.value = speed;
+        this.updateSliderValue(speed);
+        // Set as default speed
+        await this.setDefaultSpeed(speed);
+        // Apply to current video
+        await this.setCurrentSpeed(speed);
+      });
+
+      // Speed ramp
+      this.elements.rampBtn.addEventListener('click', async () => {
+        if (this.currentState.ramp) {
+          await this.stopRamp();
+        } else {
+          this.elements.rampFields.hidden = !this.elements.rampFields.hidden;
+        }
+      });
+
+      this.elements.rampStartBtn.addEventListener('click', async () => {
+        await this.startRamp();
+      });
+
+      // Practice controls
+      this.elements.practiceButtons.addEventListener('click', async (e) => {
+        const button = e.target.closest('.practice-btn');
+        if (!button) return;
+        await this.runPracticeAction(button.dataset);
+      });
+
+      // Per-content speed
+      this.elements.saveContentBtn.addEventListener('click', async () => {
+        await this.saveContentSpeed();
+      });
+
+      this.elements.clearContentBtn.addEventListener('click', async () => {
+        await this.clearContentSpeed();
+      });
+
+      // Pitch correction and volume boost for this site
+      this.elements.preservePitchToggle.addEventListener('change', async (e) => {
+        await this.setAudioOptions({ preservesPitch: e.target.checked });
+      });
+
+      this.elements.boostToggle.addEventListener('change', async (e) => {
+        await this.setAudioOptions({ boost: e.target.checked });
+      });
+
+      // Frame to control
+      this.elements.frameSelect.addEventListener('change', async (e) => {
+        this.targetFrameId = e.target.value === 'all' ? null : parseInt(e.target.value, 10);
+        await this.loadCurrentState();
+        this.updateUI();
+        await this.loadMediaList();
+      });
+
+      // Media type for this site
+      this.elements.mediaTypeSelect.addEventListener('change', async (e) => {
+        await this.setMediaType(e.target.value);
+      });
+
+      // Rate change handling for this site
+      this.elements.rateChangeSelect.addEventListener('change', async (e) => {
+        await this.setRateChangeMode(e.target.value);
+      });
+
+      // Silence skipping for this site
+      this.elements.silenceToggle.addEventListener('change', async (e) => {
+        await this.setSilenceOptions({ enabled: e.target.checked });
+      });
+
+      [
+        [this.elements.silenceThreshold, 'threshold'],
+        [this.elements.silenceMinDuration, 'minDuration'],
+        [this.elements.silenceSpeed, 'speed']
+      ].forEach(([input, option]) => {
+        input.addEventListener('change', async () => {
+          await this.setSilenceOptions({ [option]: input.value });
         });
       });
 
+      // Subtitle pacing for this site
+      this.elements.subtitleToggle.addEventListener('change', async (e) => {
+        await this.setSubtitleOptions({ enabled: e.target.checked });
+      });
+
+      [
+        [this.elements.subtitleWordsPerSecond, 'wordsPerSecond'],
+        [this.elements.subtitleSlowdown, 'slowdown'],
+        [this.elements.subtitleSpeedup, 'speedup']
+      ].forEach(([input, option]) => {
+        input.addEventListener('change', async () => {
+          await this.setSubtitleOptions({ [option]: input.value });
+        });
+      });
+
+      // On-video overlay for this site
+      this.elements.overlayToggle.addEventListener('change', async (e) => {
+        await this.toggleOverlay(e.target.checked);
+      });
+
+      // Advanced settings live on the options page
+      this.elements.settingsBtn.addEventListener('click', () => {
+        chrome.runtime.openOptionsPage();
+      });
 
       // Keyboard shortcuts
       document.addEventListener('keydown', async (e) => {
         if (e.key === 'Escape') {
           window.close();
+          return;
+        }
+
+        // +/- adjust the current video speed unless typing in a field
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName) || e.target.isContentEditable) return;
+        if (e.key === '+' || e.key === '=') {
+          await this.adjustCurrentSpeed(this.currentState.speedStep);
+        } else if (e.key === '-') {
+          await this.adjustCurrentSpeed(-this.currentState.speedStep);
         }
       });
     } catch (error) {
@@ -171,14 +382,59 @@ class PopupController {
       this.elements.enabledToggle.checked = this.currentState.enabled;
 
       // Speed slider
+      const { min, max } = this.currentState.speedRange;
+      this.elements.speedSlider.min = min;
+      this.elements.speedSlider.max = max;
+      this.elements.sliderMin.textContent = `${min}x`;
+      this.elements.sliderMax.textContent = `${max}x`;
       this.elements.speedSlider.value = this.currentState.defaultSpeed;
       this.updateSliderValue(this.currentState.defaultSpeed);
 
       // Disabled overlay
       this.showDisabledOverlay(!this.currentState.enabled);
 
-      // Update preset button states
+      // Preset buttons
+      this.renderPresetButtons();
       this.updatePresetButtons();
+
+      // Where the active speed came from
+      this.updateSpeedSource();
+
+      // Pitch correction and volume boost
+      this.updateAudioOptions();
+
+      // Skip length and loop markers
+      this.updatePractice();
+
+      // Speed ramp
+      this.updateRamp();
+
+      // Which frame is controlled
+      this.updateFramePicker();
+
+      // Media type and counts
+      this.elements.mediaTypeSelect.value = this.currentState.mediaType;
+      this.elements.mediaTypeSelect.disabled = !this.currentState.hostname;
+      this.updateMediaCounts();
+
+      // Rate change handling
+      this.elements.rateChangeSelect.value = this.currentState.rateChangeMode;
+      this.elements.rateChangeSelect.disabled = !this.currentState.hostname;
+
+      // Silence skipping
+      this.updateSilence();
+
+      // Subtitle pacing
+      this.updateSubtitles();
+      this.updateEffectiveRate();
+
+      // On-video overlay
+      this.elements.overlayToggle.checked = this.currentState.overlayEnabled;
+      this.elements.overlayToggle.disabled = !this.currentState.hostname;
+      if (this.currentState.hostname) {
+        this.elements.overlayHint.textContent =
+          `Show the speed and controls on videos on ${this.currentState.hostname}, including in fullscreen.`;
+      }
     } catch (error) {
       console.error('Error updating UI:', error);
     }
@@ -191,12 +447,230 @@ class PopupController {
     this.elements.sliderValue.textContent = `${value}x`;
   }
 
+  /**
+   * Update the speed source label and per-content actions
+   */
+  updateSpeedSource() {
+    const { speedSource, contentKey, contentLabel, siteRule, blockedByRule, adPlaying, durationRule } = this.currentState;
+    const labels = {
+      rule: `Forced by site rule for ${siteRule && siteRule.pattern}`,
+      content: `Saved speed for ${contentLabel}`,
+      manual: 'Manually set for this page',
+      ramp: 'Speed ramp in progress',
+      default: 'Using default speed'
+    };
+    // Content speeds are only used when no site rule overrides them
+    const contentAllowed = Boolean(contentKey) && !blockedByRule &&
+      (!siteRule || siteRule.action === 'rememberContent');
+
+    if (blockedByRule) {
+      this.elements.speedSource.textContent = `Disabled here by site rule for ${siteRule.pattern}`;
+    } else if (adPlaying) {
+      this.elements.speedSource.textContent = 'Ad playing, speed resumes after it';
+    } else if (durationRule) {
+      this.elements.speedSource.textContent = durationRule === 'live'
+        ? 'Live stream, kept near 1x'
+        : 'Short clip, kept at 1x';
+    } else {
+      this.elements.speedSource.textContent = labels[speedSource] || labels.default;
+    }
+    this.elements.speedSource.title = contentKey || '';
+    this.elements.speedSource.classList.toggle('from-content', ['content', 'rule'].includes(speedSource));
+    this.elements.saveContentBtn.hidden = !contentAllowed;
+    this.elements.clearContentBtn.hidden = !contentAllowed || speedSource !== 'content';
+  }
+
+  /**
+   * Update the count of controlled video and audio elements
+   */
+  updateMediaCounts() {
+    const { video, audio } = this.currentState.mediaCounts;
+    const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+    this.elements.mediaCounts.textContent = video + audio > 0
+      ? `Controlling ${plural(video, 'video')} and ${plural(audio, 'audio element')}`
+      : 'No media found on this page';
+  }
+
+  /**
+   * Offer a choice of frame when more than one frame on the page has media
+   */
+  updateFramePicker() {
+    const mediaFrames = this.currentState.frames.filter(frame =>
+      frame.mediaCounts.video + frame.mediaCounts.audio > 0);
+
+    this.elements.framePicker.hidden = mediaFrames.length < 2;
+    if (mediaFrames.length < 2) return;
+
+    const options = [{ value: 'all', label: 'All frames' }].concat(mediaFrames.map(frame => ({
+      value: String(frame.frameId),
+      label: frame.topFrame ? `${frame.hostname} (page)` : `${frame.hostname} (embedded)`
+    })));
+
+    this.elements.frameSelect.replaceChildren(...options.map(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      return option;
+    }));
+    this.elements.frameSelect.value = this.targetFrameId === null ? 'all' : String(this.targetFrameId);
+  }
+
+  /**
+   * Ask every frame in the tab for its media elements
+   */
+  async loadMediaList() {
+    if (!this.currentTab) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'sendToFrames',
+        tabId: this.currentTab.id,
+        frameId: this.targetFrameId,
+        tabAction: { action: 'listMedia' }
+      });
+      const frames = response && response.responses
+        ? response.responses
+          .filter(result => result.response && result.response.success)
+          .map(result => ({ ...result.response, frameId: result.frameId }))
+        : [];
+
+      this.mediaElements = frames.filter(Boolean).flatMap(frame =>
+        frame.media.map(media => ({ ...media, frameId: frame.frameId, topFrame: frame.topFrame, frameUrl: frame.frameUrl })));
+      this.renderMediaList();
+    } catch (error) {
+      console.error('Error loading media elements:', error);
+    }
+  }
+
+  /**
+   * Render the media element list
+   */
+  renderMediaList() {
+    const formatTime = (seconds) => {
+      const total = Math.floor(seconds);
+      const hours = Math.floor(total / 3600);
+      const minutes = String(Math.floor((total % 3600) / 60));
+      const rest = String(total % 60).padStart(2, '0');
+      return hours > 0 ? `${hours}:${minutes.padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+    };
+
+    const items = this.mediaElements.map(media => {
+      const item = document.createElement('li');
+      item.className = 'media-item';
+
+      const info = document.createElement('div');
+      info.className = 'media-info';
+
+      const title = document.createElement('span');
+      title.className = 'media-title';
+      title.textContent = media.type === 'video'
+        ? `Video ${media.width || media.displayWidth}\u00d7${media.height || media.displayHeight}`
+        : 'Audio';
+
+      const meta = document.createElement('span');
+      meta.className = 'media-meta';
+      const details = [
+        media.duration !== null
+          ? `${formatTime(media.currentTime)} / ${formatTime(media.duration)}`
+          : `${formatTime(media.currentTime)} (live)`,
+        media.paused ? 'paused' : 'playing',
+        `${Math.round(media.rate * 100) / 100}x`
+      ];
+      if (media.muted) details.push('muted');
+      if (!media.topFrame) details.push(`frame: ${new URL(media.frameUrl).hostname}`);
+      meta.textContent = details.join(' \u00b7 ');
+      meta.title = meta.textContent;
+
+      info.append(title, meta);
+
+      const speed = document.createElement('input');
+      speed.type = 'number';
+      speed.className = 'settings-input';
+      speed.min = String(this.currentState.speedRange.min);
+      speed.max = String(this.currentState.speedRange.max);
+      speed.step = String(this.currentState.speedStep);
+      speed.placeholder = 'page';
+      speed.value = media.speedOverride !== null ? media.speedOverride : '';
+      speed.disabled = !media.controlled;
+      speed.setAttribute('aria-label', 'Speed for this element');
+      speed.addEventListener('change', async () => {
+        const value = parseFloat(speed.value);
+        await this.setMediaSpeed(media, Number.isFinite(value) ? value : null);
+      });
+
+      const locate = document.createElement('button');
+      locate.className = 'text-btn';
+      locate.textContent = 'Show';
+      locate.title = 'Highlight this element on the page';
+      locate.addEventListener('click', async () => {
+        await chrome.tabs.sendMessage(this.currentTab.id,
+          { action: 'highlightMedia', mediaId: media.id }, { frameId: media.frameId }).catch(() => {});
+      });
+
+      item.append(info, speed, locate);
+      return item;
+    });
+
+    this.elements.mediaList.replaceChildren(...items);
+    this.elements.mediaListContainer.hidden = items.length === 0;
+  }
+
+  /**
+   * Give one media element its own speed, or let it follow the page again
+   */
+  async setMediaSpeed(media, speed) {
+    try {
+      const response = await chrome.tabs.sendMessage(this.currentTab.id,
+        { action: 'setMediaSpeed', mediaId: media.id, speed }, { frameId: media.frameId });
+      if (!response || !response.success) {
+        this.showError('That element is no longer on the page');
+        await this.loadMediaList();
+        return;
+      }
+      this.showSuccess(speed === null ? 'Element follows the page speed' : `Element set to ${speed}x`);
+      await this.loadMediaList();
+    } catch (error) {
+      console.error('Error setting element speed:', error);
+      this.showError('Failed to set element speed');
+    }
+  }
+
+  /**
+   * Render the preset buttons from the user's preset list
+   */
+  renderPresetButtons() {
+    const labels = { 0.5: 'Slow', 0.75: 'Slower', 1: 'Normal', 1.5: 'Fast', 2: 'Faster', 3: 'Rapid' };
+
+    const buttons = this.currentState.presets.map(speed => {
+      const button = document.createElement('button');
+      button.className = 'preset-btn';
+      button.dataset.speed = speed;
+      button.setAttribute('aria-label', `Set speed to ${speed}x`);
+
+      const speedLabel = document.createElement('span');
+      speedLabel.className = 'preset-speed';
+      speedLabel.textContent = `${speed}x`;
+      button.appendChild(speedLabel);
+
+      if (labels[speed]) {
+        const nameLabel = document.createElement('span');
+        nameLabel.className = 'preset-label';
+        nameLabel.textContent = labels[speed];
+        button.appendChild(nameLabel);
+      }
+
+      return button;
+    });
+
+    this.elements.presetContainer.replaceChildren(...buttons);
+  }
 
   /**
    * Update preset button states
    */
   updatePresetButtons() {
-    this.elements.presetButtons.forEach(button => {
+    this.elements.presetContainer.querySelectorAll('.preset-btn').forEach(button => {
       const speed = parseFloat(button.dataset.speed);
       const isActive = Math.abs(speed - this.currentState.currentSpeed) < 0.01;
       button.classList.toggle('active', isActive);
@@ -246,7 +720,7 @@ class PopupController {
    */
   async setDefaultSpeed(speed) {
     try {
-      const clampedSpeed = Math.max(0.5, Math.min(5.0, speed));
+      const clampedSpeed = window.videoSpeedStorage.clampSpeed(speed, this.currentState.speedRange);
       await window.videoSpeedStorage.setDefaultSpeed(clampedSpeed);
       this.currentState.defaultSpeed = clampedSpeed;
       
@@ -262,7 +736,7 @@ class PopupController {
    */
   async setCurrentSpeed(speed) {
     try {
-      const clampedSpeed = Math.max(0.5, Math.min(5.0, speed));
+      const clampedSpeed = window.videoSpeedStorage.clampSpeed(speed, this.currentState.speedRange);
       
       // Try to send message to content script
       if (this.currentTab) {
@@ -280,6 +754,8 @@ class PopupController {
       }
 
       this.currentState.currentSpeed = clampedSpeed;
+      // Setting a speed by hand ends any ramp
+      this.currentState.ramp = null;
       this.updateUI();
       this.showSuccess(`Speed set to ${clampedSpeed}x`);
     } catch (error) {
@@ -293,13 +769,423 @@ class PopupController {
    */
   async adjustCurrentSpeed(delta) {
     try {
-      const newSpeed = Math.max(0.5, Math.min(5.0, this.currentState.currentSpeed + delta));
+      const newSpeed = Math.round((this.currentState.currentSpeed + delta) * 100) / 100;
       await this.setCurrentSpeed(newSpeed);
     } catch (error) {
       console.error('Error adjusting current speed:', error);
     }
   }
 
+  /**
+   * Set which kinds of media are controlled on the current site
+   */
+  async setMediaType(mediaType) {
+    const { hostname } = this.currentState;
+    if (!hostname) return;
+
+    const labels = { both: 'video and audio', video: 'video only', audio: 'audio only' };
+
+    try {
+      await window.videoSpeedStorage.setMediaTypeForSite(hostname, mediaType);
+      this.currentState.mediaType = mediaType;
+      this.showSuccess(`Controlling ${labels[mediaType]} on ${hostname}`);
+    } catch (error) {
+      console.error('Error setting media type:', error);
+      this.showError('Failed to change media setting');
+    }
+  }
+
+  /**
+   * Set how rate changes made by the current site are handled
+   */
+  async setRateChangeMode(mode) {
+    const { hostname } = this.currentState;
+    if (!hostname) return;
+
+    const labels = {
+      enforce: 'Keeping your speed',
+      adopt: 'Following speed changes',
+      ignore: 'Giving up after repeated speed changes'
+    };
+
+    try {
+      await window.videoSpeedStorage.setRateChangeModeForSite(hostname, mode);
+      this.currentState.rateChangeMode = mode;
+      this.showSuccess(`${labels[mode]} on ${hostname}`);
+    } catch (error) {
+      console.error('Error setting rate change mode:', error);
+      this.showError('Failed to change rate setting');
+    }
+  }
+
+  /**
+   * Show subtitle pacing settings for the current site
+   */
+  updateSubtitles() {
+    const { subtitles, hostname } = this.currentState;
+    const available = Boolean(subtitles && hostname);
+
+    this.elements.subtitleToggle.checked = available && subtitles.enabled;
+    this.elements.subtitleToggle.disabled = !available;
+    this.elements.subtitleOptions.hidden = !(available && subtitles.enabled);
+    if (!available) return;
+
+    this.elements.subtitleWordsPerSecond.value = subtitles.wordsPerSecond;
+    this.elements.subtitleSlowdown.value = subtitles.slowdown;
+    this.elements.subtitleSpeedup.value = subtitles.speedup;
+    this.elements.subtitleHint.textContent = subtitles.enabled
+      ? `Plays ${subtitles.wordsPerSecond} subtitle words per second at your speed, ` +
+        `up to ${subtitles.slowdown}x slower or ${subtitles.speedup}x faster.`
+      : `Slow down through dense dialogue and speed up when little is said on ${hostname}.`;
+  }
+
+  /**
+   * Show the rate the media plays at when it differs from the chosen speed
+   */
+  updateEffectiveRate() {
+    const { effectiveRate, currentSpeed, enabled } = this.currentState;
+    const differs = Boolean(enabled && effectiveRate && Math.abs(effectiveRate.rate - currentSpeed) >= 0.01);
+
+    this.elements.effectiveRate.hidden = !differs;
+    if (!differs) return;
+
+    this.elements.effectiveRate.textContent = effectiveRate.paced
+      ? `now ${effectiveRate.rate}x (subtitles)`
+      : `now ${effectiveRate.rate}x`;
+  }
+
+  /**
+   * Ask the page for the rate its media is playing at right now
+   */
+  async refreshEffectiveRate() {
+    if (!this.currentTab) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'sendToFrames',
+        tabId: this.currentTab.id,
+        frameId: this.targetFrameId,
+        tabAction: { action: 'getEffectiveRate' }
+      });
+      const withMedia = response && response.responses
+        ? response.responses.find(result => result.response.success && result.response.effectiveRate)
+        : null;
+      this.currentState.effectiveRate = withMedia ? withMedia.response.effectiveRate : null;
+      this.updateEffectiveRate();
+    } catch (error) {
+      // The tab may have navigated away; try again on the next tick
+      console.warn('Could not read effective rate:', error.message);
+    }
+  }
+
+  /**
+   * Show silence skipping settings and time saved for the current site
+   */
+  updateSilence() {
+    const { silence, hostname } = this.currentState;
+    const available = Boolean(silence && hostname);
+
+    this.elements.silenceToggle.checked = available && silence.enabled;
+    this.elements.silenceToggle.disabled = !available;
+    this.elements.silenceOptions.hidden = !(available && silence.enabled);
+    if (!available) return;
+
+    this.elements.silenceThreshold.value = silence.threshold;
+    this.elements.silenceMinDuration.value = silence.minDuration;
+    this.elements.silenceSpeed.value = silence.speed;
+
+    const saved = Math.floor(silence.timeSaved || 0);
+    if (silence.enabled && saved > 0) {
+      const minutes = Math.floor(saved / 60);
+      this.elements.silenceHint.textContent = minutes > 0
+        ? `Saved ${minutes}m ${saved % 60}s on this page so far.`
+        : `Saved ${saved}s on this page so far.`;
+    } else {
+      this.elements.silenceHint.textContent = `Play pauses in speech faster on ${hostname}.`;
+    }
+  }
+
+  /**
+   * Show the running speed ramp, or fill in a suggested one
+   */
+  updateRamp() {
+    const { ramp, currentSpeed, speedRange, contentKey } = this.currentState;
+
+    this.elements.rampRemember.disabled = !contentKey;
+    if (!ramp) {
+      this.elements.rampStatus.textContent = 'Speed ramp';
+      this.elements.rampBtn.textContent = 'Ramp';
+      this.elements.rampBtn.setAttribute('aria-label', 'Set up a speed ramp');
+      // Suggest going from the current speed up by one
+      if (!this.elements.rampFrom.value) {
+        this.elements.rampFrom.value = currentSpeed;
+        this.elements.rampTo.value = Math.min(speedRange.max, Math.round((currentSpeed + 1) * 100) / 100);
+        this.elements.rampMinutes.value = 10;
+      }
+      return;
+    }
+
+    const percent = Math.round(ramp.progress * 100);
+    this.elements.rampStatus.textContent = percent >= 100
+      ? `Ramp done: ${ramp.from}x \u2192 ${ramp.to}x`
+      : `Ramp ${ramp.from}x \u2192 ${ramp.to}x, ${percent}% of ${ramp.minutes} min`;
+    this.elements.rampBtn.textContent = 'Stop';
+    this.elements.rampBtn.setAttribute('aria-label', 'Stop speed ramp');
+    this.elements.rampFields.hidden = true;
+    this.elements.rampRemember.checked = ramp.stored;
+  }
+
+  /**
+   * Start a speed ramp on the page, remembering it for the content if asked
+   */
+  async startRamp() {
+    const ramp = window.videoSpeedStorage.normalizeRamp({
+      from: this.elements.rampFrom.value,
+      to: this.elements.rampTo.value,
+      minutes: this.elements.rampMinutes.value
+    });
+    if (!ramp) {
+      this.showError('Enter two speeds and a length in minutes');
+      return;
+    }
+
+    try {
+      const { contentKey } = this.currentState;
+      const stored = this.elements.rampRemember.checked && Boolean(contentKey);
+      if (stored) {
+        await window.videoSpeedStorage.setSpeedRamp(contentKey, ramp);
+      }
+
+      const response = await this.sendMessageToTab({ action: 'startRamp', ramp, stored });
+      if (!response) {
+        this.showError('No video found on this page');
+        return;
+      }
+
+      this.currentState.ramp = response.ramp;
+      this.currentState.currentSpeed = ramp.from;
+      this.currentState.speedSource = 'ramp';
+      this.updateUI();
+      this.showSuccess(`Ramping to ${ramp.to}x over ${ramp.minutes} min`);
+    } catch (error) {
+      console.error('Error starting speed ramp:', error);
+      this.showError('Failed to start speed ramp');
+    }
+  }
+
+  /**
+   * Stop the speed ramp, forgetting it for the content if it was remembered
+   */
+  async stopRamp() {
+    try {
+      const { ramp, contentKey } = this.currentState;
+      if (ramp && ramp.stored) {
+        await window.videoSpeedStorage.deleteSpeedRamp(contentKey);
+      }
+
+      await this.sendMessageToTab({ action: 'stopRamp' });
+      await this.loadCurrentState();
+      this.updateUI();
+      this.showSuccess('Speed ramp stopped');
+    } catch (error) {
+      console.error('Error stopping speed ramp:', error);
+      this.showError('Failed to stop speed ramp');
+    }
+  }
+
+  /**
+   * Show the skip length and the loop markers
+   */
+  updatePractice() {
+    const { skipSeconds, loop } = this.currentState;
+    this.elements.rewindBtn.textContent = `\u2212${skipSeconds}s`;
+    this.elements.rewindBtn.title = `Rewind ${skipSeconds} seconds`;
+    this.elements.advanceBtn.textContent = `+${skipSeconds}s`;
+    this.elements.advanceBtn.title = `Advance ${skipSeconds} seconds`;
+
+    if (!loop) {
+      this.elements.loopStatus.textContent = 'No loop set';
+    } else if (loop.b === null) {
+      this.elements.loopStatus.textContent = `Loop starts at ${this.formatTime(loop.a)}, set B to start looping`;
+    } else {
+      this.elements.loopStatus.textContent = `Looping ${this.formatTime(loop.a)} to ${this.formatTime(loop.b)}`;
+    }
+  }
+
+  /**
+   * Format seconds as m:ss.s
+   */
+  formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = (seconds - minutes * 60).toFixed(1).padStart(4, '0');
+    return `${minutes}:${rest}`;
+  }
+
+  /**
+   * Skip, step a frame or set loop markers on the page's media
+   * @param {DOMStringMap} options - Data attributes of the clicked button
+   */
+  async runPracticeAction({ practice, direction, point }) {
+    const message = { action: practice };
+    if (practice === 'skip') {
+      message.seconds = parseInt(direction, 10) * this.currentState.skipSeconds;
+    } else if (practice === 'stepFrame') {
+      message.direction = parseInt(direction, 10);
+    } else if (practice === 'setLoopPoint') {
+      message.point = point;
+    }
+
+    try {
+      const response = await this.sendMessageToTab(message);
+      if (!response) {
+        this.showError('No media to control on this page');
+        return;
+      }
+      this.currentState.loop = response.loop || null;
+      this.updatePractice();
+    } catch (error) {
+      console.error('Error running practice action:', error);
+      this.showError(practice === 'clearLoop' ? 'No loop to clear' : 'No media to control on this page');
+    }
+  }
+
+  /**
+   * Show pitch correction and volume boost for the current site
+   */
+  updateAudioOptions() {
+    const { audio, hostname } = this.currentState;
+    const available = Boolean(audio && hostname);
+
+    this.elements.preservePitchToggle.checked = !available || audio.preservesPitch;
+    this.elements.preservePitchToggle.disabled = !available;
+    this.elements.boostToggle.checked = available && audio.boost;
+    this.elements.boostToggle.disabled = !available;
+    this.elements.boostOption.title = available
+      ? `Even out and raise the volume at ${audio.boostMinSpeed}x and faster`
+      : 'Even out and raise the volume at high speeds';
+  }
+
+  /**
+   * Change pitch correction and volume boost for the current site
+   */
+  async setAudioOptions(options) {
+    const { hostname } = this.currentState;
+    if (!hostname) return;
+
+    try {
+      await window.videoSpeedStorage.setAudioSettingsForSite(hostname, options);
+      const audio = await window.videoSpeedStorage.getAudioSettings();
+      this.currentState.audio = window.videoSpeedStorage.resolveAudioSettings(audio, hostname);
+      this.updateAudioOptions();
+      if ('preservesPitch' in options) {
+        this.showSuccess(options.preservesPitch ? `Keeping pitch on ${hostname}` : `Pitch follows speed on ${hostname}`);
+      } else {
+        this.showSuccess(options.boost ? `Boosting volume on ${hostname}` : `Volume boost off on ${hostname}`);
+      }
+    } catch (error) {
+      console.error('Error setting audio options:', error);
+      this.showError('Failed to change audio setting');
+    }
+  }
+
+  /**
+   * Change subtitle pacing settings for the current site
+   */
+  async setSubtitleOptions(options) {
+    const { hostname } = this.currentState;
+    if (!hostname) return;
+
+    try {
+      await window.videoSpeedStorage.setSubtitleSettingsForSite(hostname, options);
+      const subtitles = await window.videoSpeedStorage.getSubtitleSettings();
+      this.currentState.subtitles = window.videoSpeedStorage.resolveSubtitleSettings(subtitles, hostname);
+      this.updateSubtitles();
+      if ('enabled' in options) {
+        this.showSuccess(options.enabled ? `Following subtitles on ${hostname}` : `Subtitle pacing off on ${hostname}`);
+      }
+    } catch (error) {
+      console.error('Error setting subtitle pacing:', error);
+      this.showError('Failed to change subtitle setting');
+    }
+  }
+
+  /**
+   * Change silence skipping settings for the current site
+   */
+  async setSilenceOptions(options) {
+    const { hostname } = this.currentState;
+    if (!hostname) return;
+
+    try {
+      await window.videoSpeedStorage.setSilenceSettingsForSite(hostname, options);
+      const silence = await window.videoSpeedStorage.getSilenceSettings();
+      this.currentState.silence = {
+        ...window.videoSpeedStorage.resolveSilenceSettings(silence, hostname),
+        timeSaved: this.currentState.silence ? this.currentState.silence.timeSaved : 0
+      };
+      this.updateSilence();
+      if ('enabled' in options) {
+        this.showSuccess(options.enabled ? `Speeding up silence on ${hostname}` : `Silence skipping off on ${hostname}`);
+      }
+    } catch (error) {
+      console.error('Error setting silence skipping:', error);
+      this.showError('Failed to change silence setting');
+    }
+  }
+
+  /**
+   * Switch the on-video overlay on or off for the current site
+   */
+  async toggleOverlay(enabled) {
+    const { hostname } = this.currentState;
+    if (!hostname) return;
+
+    try {
+      await window.videoSpeedStorage.setOverlayEnabledForSite(hostname, enabled);
+      this.currentState.overlayEnabled = enabled;
+      this.showSuccess(enabled ? `Overlay shown on ${hostname}` : `Overlay hidden on ${hostname}`);
+    } catch (error) {
+      console.error('Error toggling overlay:', error);
+      this.showError('Failed to change overlay setting');
+    }
+  }
+
+  /**
+   * Save the current speed as the speed for this content
+   */
+  async saveContentSpeed() {
+    const { contentKey, contentLabel, currentSpeed } = this.currentState;
+    if (!contentKey) return;
+
+    try {
+      await window.videoSpeedStorage.setContentSpeed(contentKey, currentSpeed);
+      this.currentState.speedSource = 'content';
+      this.updateUI();
+      this.showSuccess(`Saved ${currentSpeed}x for ${contentLabel}`);
+    } catch (error) {
+      console.error('Error saving content speed:', error);
+      this.showError('Failed to save speed for this content');
+    }
+  }
+
+  /**
+   * Clear the saved speed for this content
+   */
+  async clearContentSpeed() {
+    const { contentKey, contentLabel } = this.currentState;
+    if (!contentKey) return;
+
+    try {
+      await window.videoSpeedStorage.deleteContentSpeed(contentKey);
+      this.currentState.speedSource = 'default';
+      this.currentState.currentSpeed = this.currentState.defaultSpeed;
+      this.updateUI();
+      this.showSuccess(`Cleared speed for ${contentLabel}`);
+    } catch (error) {
+      console.error('Error clearing content speed:', error);
+      this.showError('Failed to clear speed for this content');
+    }
+  }
 
   /**
    * Send message to current tab's content script
@@ -310,11 +1196,21 @@ class PopupController {
     }
 
     try {
-      const response = await chrome.tabs.sendMessage(this.currentTab.id, message);
-      if (response && !response.success) {
-        throw new Error(response.error || 'Unknown error');
+      // The background routes to the chosen frame, or to every frame with a content script
+      const response = await chrome.runtime.sendMessage({
+        action: 'sendToFrames',
+        tabId: this.currentTab.id,
+        frameId: this.targetFrameId,
+        tabAction: message
+      });
+      if (!response || response.reached === 0) {
+        throw new Error('Could not establish connection to any frame');
+      }
+      if (!response.success) {
+        const failed = response.responses.find(result => !result.response.success);
+        throw new Error((failed && failed.response.error) || 'Unknown error');
       }
-      return response;
+      return response.responses.find(result => result.response.success).response;
     } catch (error) {
       // If content script is not loaded, just log the warning
       console.warn('Content script not responding:', error.message);
@@ -0,0 +1,25 @@
+/**
+ * Shadow Root Hook for Video Speed Controller
+ * Runs in the page's main world and tells the content script when an open
+ * shadow root is attached, so players built from web components are found
+ */
+
+(() => {
+  const originalAttachShadow = Element.prototype.attachShadow;
+
+  Element.prototype.attachShadow = function attachShadow(init) {
+    const shadowRoot = originalAttachShadow.call(this, init);
+
+    if (init && init.mode === 'open') {
+      // Wait for the component to render into its new root
+      queueMicrotask(() => {
+        this.dispatchEvent(new CustomEvent('videospeedcontroller:shadowroot', {
+          bubbles: true,
+          composed: true
+        }));
+      });
+    }
+
+    return shadowRoot;
+  };
+})();
\ No newline at end of file
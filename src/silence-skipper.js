@@ -0,0 +1,161 @@
+/**
+ * Silence Skipper for Video Speed Controller
+ * Listens to a media element through a Web Audio AnalyserNode and plays
+ * silent stretches at a higher speed
+ */
+
+class SilenceSkipper {
+  /**
+   * @param {HTMLMediaElement} media - Media element to analyse
+   * @param {{threshold: number, minDuration: number, speed: number}} settings - Threshold in dBFS,
+   *   minimum silence in seconds and the speed used during silence
+   * @param {{getNormalSpeed: function(): number, onChange: function(boolean), onTimeSaved: function(number)}} callbacks -
+   *   onChange receives true when silence starts and false when sound returns; onTimeSaved receives seconds saved
+   */
+  constructor(media, settings, callbacks) {
+    this.media = media;
+    this.settings = settings;
+    this.callbacks = callbacks;
+    this.analyser = null;
+    this.samples = null;
+    this.timer = null;
+    this.silentSince = null;
+    this.skipping = false;
+    this.lastMediaTime = null;
+
+    this.POLL_INTERVAL = 100;
+
+    this.handlePlay = () => this.start();
+    this.handlePause = () => this.stop();
+  }
+
+  /**
+   * Start analysing whenever the media plays
+   */
+  attach() {
+    this.media.addEventListener('play', this.handlePlay);
+    this.media.addEventListener('pause', this.handlePause);
+    this.media.addEventListener('emptied', this.handlePause);
+
+    if (!this.media.paused) {
+      this.start();
+    }
+  }
+
+  /**
+   * Route the element through the page's shared audio graph
+   * @returns {Promise<boolean>} False if audio could not be routed
+   */
+  async connect() {
+    if (this.analyser) return true;
+
+    const nodes = await mediaAudioGraph.connect(this.media);
+    if (!nodes) return false;
+
+    this.analyser = nodes.analyser;
+    this.samples = new Float32Array(this.analyser.fftSize);
+    return true;
+  }
+
+  /**
+   * Start polling the audio level
+   */
+  async start() {
+    try {
+      if (this.timer || !(await this.connect()) || this.timer) return;
+    } catch (error) {
+      // The page may already route the element through its own AudioContext
+      console.error('Video Speed Controller: Error routing audio for silence skipping:', error);
+      return;
+    }
+
+    this.lastMediaTime = this.media.currentTime;
+    this.timer = setInterval(() => this.poll(), this.POLL_INTERVAL);
+  }
+
+  /**
+   * Stop polling and go back to the normal speed
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.silentSince = null;
+    this.setSkipping(false);
+  }
+
+  /**
+   * Current audio level in dBFS
+   */
+  getLevel() {
+    this.analyser.getFloatTimeDomainData(this.samples);
+    let sum = 0;
+    for (let i = 0; i < this.samples.length; i++) {
+      sum += this.samples[i] * this.samples[i];
+    }
+    const rms = Math.sqrt(sum / this.samples.length);
+    return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+  }
+
+  /**
+   * Check the level and switch between normal and silence speed
+   */
+  poll() {
+    if (this.media.paused || this.media.seeking) return;
+
+    const now = performance.now();
+    const mediaTime = this.media.currentTime;
+
+    if (this.skipping && this.lastMediaTime !== null && mediaTime > this.lastMediaTime) {
+      // Media time played at silence speed would have taken longer at the normal speed
+      const played = mediaTime - this.lastMediaTime;
+      const normalSpeed = this.callbacks.getNormalSpeed();
+      const saved = played / normalSpeed - played / this.media.playbackRate;
+      if (saved > 0) {
+        this.callbacks.onTimeSaved(saved);
+      }
+    }
+    this.lastMediaTime = mediaTime;
+
+    if (this.getLevel() >= this.settings.threshold) {
+      this.silentSince = null;
+      this.setSkipping(false);
+      return;
+    }
+
+    if (this.silentSince === null) {
+      this.silentSince = now;
+    } else if (now - this.silentSince >= this.settings.minDuration * 1000) {
+      this.setSkipping(true);
+    }
+  }
+
+  /**
+   * Enter or leave a silent stretch
+   */
+  setSkipping(skipping) {
+    if (this.skipping === skipping) return;
+    this.skipping = skipping;
+    this.callbacks.onChange(skipping);
+  }
+
+  /**
+   * Apply new threshold, duration and speed settings
+   */
+  setSettings(settings) {
+    this.settings = settings;
+    if (this.skipping) {
+      this.callbacks.onChange(true);
+    }
+  }
+
+  /**
+   * Stop analysing; the element stays routed through the audio graph so it keeps playing sound
+   */
+  destroy() {
+    this.stop();
+    this.media.removeEventListener('play', this.handlePlay);
+    this.media.removeEventListener('pause', this.handlePause);
+    this.media.removeEventListener('emptied', this.handlePause);
+    this.analyser = null;
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * Site Rules for Video Speed Controller
+ * Matches page URLs against the user's ordered site rules
+ *
+ * Patterns are written without a scheme (`*.zoom.us`, `example.com/courses/*`)
+ * or with one (`https://example.com/*`). `*` matches anything, and a leading
+ * `*.` matches the domain itself as well as its subdomains. In the host a `*`
+ * never reaches past it into the path or query. A host without a port matches
+ * it on any port. A pattern without a path matches every page on the host.
+ */
+
+class SiteRules {
+  constructor() {
+    this.ACTIONS = {
+      DISABLE: 'disable',
+      FORCE_SPEED: 'forceSpeed',
+      USE_DEFAULT: 'useDefault',
+      REMEMBER_CONTENT: 'rememberContent'
+    };
+
+    this.ACTION_LABELS = {
+      disable: 'Disable',
+      forceSpeed: 'Force speed',
+      useDefault: 'Use default speed',
+      rememberContent: 'Remember per content'
+    };
+  }
+
+  /**
+   * Convert a rule pattern into a regular expression
+   * @param {string} pattern - Rule pattern
+   * @returns {RegExp|null} Expression matching the URL form the pattern is written in, or null if empty
+   */
+  toRegExp(pattern) {
+    let value = String(pattern || '').trim().toLowerCase();
+    if (!value) return null;
+
+    // In the host a wildcard stays within the host; only in the path may it match anything
+    const escape = (part, wildcard = '.*') => part
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, wildcard);
+    const HOST_WILDCARD = '[^/:?#]*';
+
+    let schemeSource = '';
+    const schemeEnd = value.indexOf('://');
+    if (schemeEnd !== -1) {
+      schemeSource = `${escape(value.slice(0, schemeEnd), '[a-z0-9+.-]*')}://`;
+      value = value.slice(schemeEnd + 3);
+    }
+
+    const pathStart = value.indexOf('/');
+    const host = pathStart === -1 ? value : value.slice(0, pathStart);
+    const path = pathStart === -1 ? '' : value.slice(pathStart);
+
+    const hostSource = host.startsWith('*.')
+      ? `(?:${HOST_WILDCARD}\\.)?${escape(host.slice(2), HOST_WILDCARD)}`
+      : escape(host, HOST_WILDCARD);
+    // A host written without a port matches it on any port
+    const portSource = host.includes(':') ? '' : '(?::\\d+)?';
+    const pathSource = path ? escape(path) : '(?:[/?].*)?';
+
+    return new RegExp(`^${schemeSource}${hostSource}${portSource}${pathSource}$`);
+  }
+
+  /**
+   * Check whether a URL matches a rule pattern
+   * @param {string} pattern - Rule pattern
+   * @param {string} url - Page URL
+   * @returns {boolean} True if the pattern matches
+   */
+  matches(pattern, url) {
+    try {
+      const regExp = this.toRegExp(pattern);
+      if (!regExp) return false;
+
+      const parsed = new URL(url);
+      const scheme = String(pattern).includes('://') ? `${parsed.protocol}//` : '';
+      const target = `${scheme}${parsed.host}${parsed.pathname}${parsed.search}`.toLowerCase();
+      return regExp.test(target);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Find the first rule that matches a URL
+   * @param {Array<Object>} rules - Ordered site rules
+   * @param {string} url - Page URL
+   * @returns {Object|null} Matching rule, or null if none matches
+   */
+  findMatch(rules, url) {
+    return (rules || []).find(rule => this.matches(rule.pattern, url)) || null;
+  }
+
+  /**
+   * Validate a rule and fill in missing fields
+   * @param {Object} rule - Rule to validate
+   * @returns {Object|null} Normalized rule, or null if it is invalid
+   */
+  normalize(rule) {
+    if (!rule || typeof rule.pattern !== 'string' || !rule.pattern.trim()) return null;
+    if (!Object.values(this.ACTIONS).includes(rule.action)) return null;
+
+    const normalized = {
+      id: rule.id || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+      pattern: rule.pattern.trim(),
+      action: rule.action
+    };
+
+    if (rule.action === this.ACTIONS.FORCE_SPEED) {
+      const speed = parseFloat(rule.speed);
+      if (!Number.isFinite(speed)) return null;
+      // The content script clamps again to the user's speed range
+      normalized.speed = Math.max(0.1, Math.min(16, speed));
+    }
+
+    return normalized;
+  }
+}
+
+// Create global instance
+const siteRules = new SiteRules();
\ No newline at end of file
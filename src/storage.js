@@ -6,38 +6,717 @@ class VideoSpeedStorage {
   constructor() {
     this.STORAGE_KEYS = {
       DEFAULT_SPEED: 'defaultSpeed',
-      ENABLED: 'enabled'
+      ENABLED: 'enabled',
+      CONTENT_SPEEDS: 'contentSpeeds',
+      HOTKEYS: 'hotkeys',
+      OVERLAY: 'overlay',
+      MEDIA_TYPE: 'mediaType',
+      SITE_RULES: 'siteRules',
+      PRESETS: 'presets',
+      SPEED_STEP: 'speedStep',
+      SPEED_RANGE: 'speedRange',
+      RATE_CHANGE: 'rateChange',
+      SILENCE: 'silence',
+      SUBTITLES: 'subtitles',
+      AUDIO: 'audio',
+      ADS: 'ads',
+      DURATION_RULES: 'durationRules',
+      PRACTICE: 'practice',
+      SPEED_RAMPS: 'speedRamps',
+      EXTERNAL_API: 'externalApi',
+      STATS_RETENTION: 'statsRetention'
+    };
+
+    // Bookkeeping keys, kept in storage.sync next to the settings
+    this.META_KEYS = {
+      SCHEMA_VERSION: 'schemaVersion',
+      STORAGE_AREAS: 'storageAreas'
+    };
+
+    // Keys earlier versions stored and migrations carry over
+    this.LEGACY_KEYS = {
+      CHANNEL_SPEEDS: 'channelSpeeds'
+    };
+
+    // Per-device data kept in storage.local only
+    this.LOCAL_KEYS = {
+      WATCH_STATS: 'watchStats'
     };
     
     this.DEFAULT_VALUES = {
       defaultSpeed: 1.0,
-      enabled: true
+      enabled: true,
+      contentSpeeds: {},
+      hotkeys: {
+        enabled: false,
+        slower: 's',
+        faster: 'd',
+        reset: 'r',
+        rewind: 'z',
+        advance: 'x',
+        loop: 'l',
+        frameBack: ',',
+        frameForward: '.'
+      },
+      overlay: {
+        enabled: true,
+        sites: {},
+        size: 'medium',
+        opacity: 0.7,
+        autoHide: true,
+        hideDelay: 2
+      },
+      mediaType: {
+        type: 'both',
+        sites: {}
+      },
+      siteRules: [],
+      presets: [0.5, 0.75, 1.0, 1.5, 2.0, 3.0],
+      speedStep: 0.1,
+      speedRange: {
+        min: 0.5,
+        max: 5.0
+      },
+      rateChange: {
+        mode: 'enforce',
+        maxConflicts: 3,
+        sites: {}
+      },
+      silence: {
+        enabled: false,
+        threshold: -45,
+        minDuration: 0.6,
+        speed: 3.0,
+        sites: {}
+      },
+      subtitles: {
+        enabled: false,
+        // Subtitle words per second that play at the base speed; denser cues slow down, sparser ones speed up
+        wordsPerSecond: 2.5,
+        // How far below and above the base speed the rate may go
+        slowdown: 0.25,
+        speedup: 0.5,
+        sites: {}
+      },
+      audio: {
+        // Keep the pitch natural at other speeds (off lets pitch follow speed)
+        preservesPitch: true,
+        // Compress and raise the volume when playing at boostMinSpeed or faster
+        boost: false,
+        boostGain: 2.0,
+        boostMinSpeed: 1.5,
+        sites: {}
+      },
+      ads: {
+        action: 'auto',
+        speed: 1.0
+      },
+      durationRules: {
+        live: 'normal',
+        // Catch-up mode: speed used while more than catchUpThreshold seconds behind the live edge
+        catchUpSpeed: 1.25,
+        catchUpThreshold: 10,
+        // Media shorter than this many seconds stays at 1x (0 turns the rule off)
+        shortClipLength: 30
+      },
+      practice: {
+        // Seconds jumped by rewind and advance
+        skipSeconds: 5,
+        // Frame rate assumed when stepping one frame
+        frameRate: 30
+      },
+      // Speed ramps remembered per content key
+      speedRamps: {},
+      externalApi: {
+        // Other extensions allowed to use the external API
+        extensionIds: [],
+        // Page origins allowed to use the window.postMessage bridge
+        pageOrigins: []
+      },
+      // Days of watch statistics to keep
+      statsRetention: 90
     };
+
+    this.MEDIA_TYPES = ['video', 'audio', 'both'];
+    this.OVERLAY_SIZES = ['small', 'medium', 'large'];
+    // What to do when the page or its player changes the rate: keep ours, take theirs,
+    // or keep ours until the page has overridden it more than maxConflicts times
+    this.RATE_CHANGE_MODES = ['enforce', 'adopt', 'ignore'];
+    // What to play ads at: whatever each site adapter picks, the user's speed,
+    // the separate ad speed, or the rate the player had before we changed it
+    this.AD_ACTIONS = ['auto', 'keep', 'adSpeed', 'original'];
+    // Live streams play at 1x, catch up only while behind the live edge, or use the normal speed
+    this.LIVE_MODES = ['normal', 'catchUp', 'speed'];
+
+    // Chrome extension ids are 32 letters from a to p
+    this.EXTENSION_ID_PATTERN = /^[a-p]{32}$/;
+
+    // Limits browsers accept for playbackRate
+    this.SPEED_LIMITS = { min: 0.1, max: 16 };
+    this.MAX_PRESETS = 12;
+
+    // Settings backup file format
+    this.BACKUP_FORMAT = 'video-speed-controller-backup';
+    this.BACKUP_VERSION = 1;
+    this.IMPORT_MODES = ['merge', 'replace'];
+
+    // Stored settings layout; bump and add a migration when it changes
+    this.SCHEMA_VERSION = 3;
+    this.MIGRATIONS = [
+      {
+        version: 2,
+        description: 'Validate unversioned settings and move oversized maps to local storage',
+        migrate: () => this.normalizeStoredSettings()
+      },
+      {
+        version: 3,
+        description: 'Carry per-channel YouTube speeds over to content speeds',
+        migrate: () => this.migrateChannelSpeeds()
+      }
+    ];
+
+    // Maps that can outgrow a single storage.sync item and move to storage.local
+    this.LOCAL_CAPABLE_KEYS = [this.STORAGE_KEYS.CONTENT_SPEEDS, this.STORAGE_KEYS.SPEED_RAMPS];
+
+    // Speed ramps: a ramp takes 1 to 240 minutes of watch time
+    this.RAMP_MINUTES = { min: 1, max: 240 };
+    // storage.sync allows 8 KB per item; leave room for the key and encoding
+    this.SYNC_ITEM_LIMIT = 7680;
+
+    // Serializes read-modify-write updates of the watch statistics
+    this.statsQueue = Promise.resolve();
   }
 
   /**
-   * Get default speed setting
-   * @returns {Promise<number>} Default speed value
+   * Clamp a speed to a speed range
+   * @param {number} speed - Speed value
+   * @param {{min: number, max: number}} range - Allowed range
+   * @returns {number} Clamped speed, rounded to two decimals
    */
-  async getDefaultSpeed() {
+  clampSpeed(speed, range = this.DEFAULT_VALUES.speedRange) {
+    const clamped = Math.max(range.min, Math.min(range.max, speed));
+    return Math.round(clamped * 100) / 100;
+  }
+
+  /**
+   * Fresh copy of a setting's default value
+   * @param {string} key - Setting key
+   * @returns {*} Default value
+   */
+  getDefault(key) {
+    return structuredClone(this.DEFAULT_VALUES[key]);
+  }
+
+  /**
+   * Validate a stored setting, falling back to defaults for anything invalid
+   * @param {string} key - Setting key
+   * @param {*} value - Value read from storage
+   * @returns {*} Typed, valid value
+   */
+  normalizeSetting(key, value) {
+    const fallback = this.getDefault(key);
+    const isObject = typeof value === 'object' && value !== null && !Array.isArray(value);
+    const toSpeed = speed => {
+      const parsed = parseFloat(speed);
+      return Number.isFinite(parsed) && parsed > 0 ? this.clampSpeed(parsed, this.SPEED_LIMITS) : null;
+    };
+
+    switch (key) {
+      case this.STORAGE_KEYS.DEFAULT_SPEED:
+        return toSpeed(value) ?? fallback;
+
+      case this.STORAGE_KEYS.ENABLED:
+        return typeof value === 'boolean' ? value : fallback;
+
+      case this.STORAGE_KEYS.CONTENT_SPEEDS: {
+        if (!isObject) return fallback;
+        const contentSpeeds = {};
+        Object.entries(value).forEach(([contentKey, speed]) => {
+          const normalized = toSpeed(speed);
+          if (normalized !== null) contentSpeeds[contentKey] = normalized;
+        });
+        return contentSpeeds;
+      }
+
+      case this.STORAGE_KEYS.SPEED_RAMPS: {
+        if (!isObject) return fallback;
+        const speedRamps = {};
+        Object.entries(value).forEach(([contentKey, ramp]) => {
+          const normalized = this.normalizeRamp(ramp);
+          if (normalized) speedRamps[contentKey] = normalized;
+        });
+        return speedRamps;
+      }
+
+      case this.STORAGE_KEYS.HOTKEYS: {
+        const hotkeys = { ...fallback, ...(isObject ? value : {}) };
+        hotkeys.enabled = Boolean(hotkeys.enabled);
+        ['slower', 'faster', 'reset', 'rewind', 'advance', 'loop', 'frameBack', 'frameForward'].forEach(name => {
+          hotkeys[name] = String(hotkeys[name] || fallback[name]).slice(0, 1).toLowerCase();
+        });
+        return hotkeys;
+      }
+
+      case this.STORAGE_KEYS.OVERLAY: {
+        const overlay = { ...fallback, ...(isObject ? value : {}) };
+        overlay.enabled = Boolean(overlay.enabled);
+        overlay.autoHide = Boolean(overlay.autoHide);
+        overlay.size = this.OVERLAY_SIZES.includes(overlay.size) ? overlay.size : fallback.size;
+        overlay.opacity = Math.max(0.2, Math.min(1, parseFloat(overlay.opacity) || fallback.opacity));
+        overlay.hideDelay = Math.max(0.5, Math.min(30, parseFloat(overlay.hideDelay) || fallback.hideDelay));
+        overlay.sites = Object.fromEntries(Object.entries(overlay.sites || {})
+          .filter(([, enabled]) => typeof enabled === 'boolean'));
+        return overlay;
+      }
+
+      case this.STORAGE_KEYS.MEDIA_TYPE: {
+        const mediaType = { ...fallback, ...(isObject ? value : {}) };
+        mediaType.type = this.MEDIA_TYPES.includes(mediaType.type) ? mediaType.type : fallback.type;
+        mediaType.sites = Object.fromEntries(Object.entries(mediaType.sites || {})
+          .filter(([, type]) => this.MEDIA_TYPES.includes(type)));
+        return mediaType;
+      }
+
+      case this.STORAGE_KEYS.SITE_RULES:
+        return Array.isArray(value)
+          ? value.map(rule => siteRules.normalize(rule)).filter(Boolean)
+          : fallback;
+
+      case this.STORAGE_KEYS.PRESETS: {
+        const presets = Array.isArray(value)
+          ? [...new Set(value.map(toSpeed).filter(preset => preset !== null))].sort((a, b) => a - b)
+          : [];
+        return presets.length > 0 ? presets.slice(0, this.MAX_PRESETS) : fallback;
+      }
+
+      case this.STORAGE_KEYS.SPEED_STEP: {
+        const step = parseFloat(value);
+        return Number.isFinite(step) && step > 0
+          ? Math.round(Math.max(0.01, Math.min(1.0, step)) * 100) / 100
+          : fallback;
+      }
+
+      case this.STORAGE_KEYS.SPEED_RANGE: {
+        const min = parseFloat(isObject ? value.min : NaN);
+        const max = parseFloat(isObject ? value.max : NaN);
+        return Number.isFinite(min) && Number.isFinite(max) && min < max &&
+          min >= this.SPEED_LIMITS.min && max <= this.SPEED_LIMITS.max
+          ? { min, max }
+          : fallback;
+      }
+
+      case this.STORAGE_KEYS.RATE_CHANGE: {
+        const rateChange = { ...fallback, ...(isObject ? value : {}) };
+        rateChange.mode = this.RATE_CHANGE_MODES.includes(rateChange.mode) ? rateChange.mode : fallback.mode;
+        const maxConflicts = parseInt(rateChange.maxConflicts, 10);
+        rateChange.maxConflicts = Number.isFinite(maxConflicts)
+          ? Math.max(1, Math.min(20, maxConflicts))
+          : fallback.maxConflicts;
+        rateChange.sites = Object.fromEntries(Object.entries(rateChange.sites || {})
+          .filter(([, mode]) => this.RATE_CHANGE_MODES.includes(mode)));
+        return rateChange;
+      }
+
+      case this.STORAGE_KEYS.SILENCE: {
+        const silence = { ...fallback, ...this.normalizeSilenceOptions(isObject ? value : {}) };
+        silence.sites = Object.fromEntries(Object.entries(isObject && value.sites ? value.sites : {})
+          .map(([hostname, options]) => [hostname, this.normalizeSilenceOptions(options)])
+          .filter(([, options]) => Object.keys(options).length > 0));
+        return silence;
+      }
+
+      case this.STORAGE_KEYS.SUBTITLES: {
+        const subtitles = { ...fallback, ...this.normalizeSubtitleOptions(isObject ? value : {}) };
+        subtitles.sites = Object.fromEntries(Object.entries(isObject && value.sites ? value.sites : {})
+          .map(([hostname, options]) => [hostname, this.normalizeSubtitleOptions(options)])
+          .filter(([, options]) => Object.keys(options).length > 0));
+        return subtitles;
+      }
+
+      case this.STORAGE_KEYS.AUDIO: {
+        const audio = { ...fallback, ...this.normalizeAudioOptions(isObject ? value : {}) };
+        audio.sites = Object.fromEntries(Object.entries(isObject && value.sites ? value.sites : {})
+          .map(([hostname, options]) => [hostname, this.normalizeAudioOptions(options)])
+          .filter(([, options]) => Object.keys(options).length > 0));
+        return audio;
+      }
+
+      case this.STORAGE_KEYS.ADS: {
+        const ads = { ...fallback, ...(isObject ? value : {}) };
+        ads.action = this.AD_ACTIONS.includes(ads.action) ? ads.action : fallback.action;
+        const speed = parseFloat(ads.speed);
+        ads.speed = Number.isFinite(speed) && speed > 0 ? this.clampSpeed(speed, this.SPEED_LIMITS) : fallback.speed;
+        return { action: ads.action, speed: ads.speed };
+      }
+
+      case this.STORAGE_KEYS.EXTERNAL_API: {
+        const externalApi = { ...fallback, ...(isObject ? value : {}) };
+        const extensionIds = (Array.isArray(externalApi.extensionIds) ? externalApi.extensionIds : [])
+          .map(id => String(id).trim().toLowerCase())
+          .filter(id => this.EXTENSION_ID_PATTERN.test(id));
+        const pageOrigins = (Array.isArray(externalApi.pageOrigins) ? externalApi.pageOrigins : [])
+          .map(origin => this.normalizeOrigin(origin))
+          .filter(Boolean);
+        return { extensionIds: [...new Set(extensionIds)], pageOrigins: [...new Set(pageOrigins)] };
+      }
+
+      case this.STORAGE_KEYS.DURATION_RULES: {
+        const rules = { ...fallback, ...(isObject ? value : {}) };
+        const catchUpSpeed = parseFloat(rules.catchUpSpeed);
+        const catchUpThreshold = parseFloat(rules.catchUpThreshold);
+        const shortClipLength = parseFloat(rules.shortClipLength);
+        return {
+          live: this.LIVE_MODES.includes(rules.live) ? rules.live : fallback.live,
+          catchUpSpeed: Number.isFinite(catchUpSpeed) && catchUpSpeed > 1
+            ? this.clampSpeed(catchUpSpeed, { min: 1, max: 4 })
+            : fallback.catchUpSpeed,
+          catchUpThreshold: Number.isFinite(catchUpThreshold)
+            ? Math.max(3, Math.min(300, Math.round(catchUpThreshold)))
+            : fallback.catchUpThreshold,
+          shortClipLength: Number.isFinite(shortClipLength)
+            ? Math.max(0, Math.min(600, Math.round(shortClipLength)))
+            : fallback.shortClipLength
+        };
+      }
+
+      case this.STORAGE_KEYS.PRACTICE: {
+        const skipSeconds = parseFloat(isObject ? value.skipSeconds : NaN);
+        const frameRate = parseFloat(isObject ? value.frameRate : NaN);
+        return {
+          skipSeconds: Number.isFinite(skipSeconds)
+            ? Math.max(1, Math.min(120, Math.round(skipSeconds)))
+            : fallback.skipSeconds,
+          frameRate: Number.isFinite(frameRate)
+            ? Math.max(1, Math.min(120, Math.round(frameRate * 1000) / 1000))
+            : fallback.frameRate
+        };
+      }
+
+      case this.STORAGE_KEYS.STATS_RETENTION: {
+        const days = parseInt(value, 10);
+        return Number.isFinite(days) ? Math.max(1, Math.min(3650, days)) : fallback;
+      }
+
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Validate silence skipping options, dropping any that are missing or invalid
+   * @param {Object} options - Partial options (enabled, threshold, minDuration, speed)
+   * @returns {Object} Valid options only
+   */
+  normalizeSilenceOptions(options) {
+    const normalized = {};
+    if (!options || typeof options !== 'object') return normalized;
+
+    if (typeof options.enabled === 'boolean') {
+      normalized.enabled = options.enabled;
+    }
+    const threshold = parseFloat(options.threshold);
+    if (Number.isFinite(threshold)) {
+      normalized.threshold = Math.max(-90, Math.min(-10, Math.round(threshold)));
+    }
+    const minDuration = parseFloat(options.minDuration);
+    if (Number.isFinite(minDuration)) {
+      normalized.minDuration = Math.max(0.1, Math.min(10, Math.round(minDuration * 10) / 10));
+    }
+    const speed = parseFloat(options.speed);
+    if (Number.isFinite(speed) && speed > 0) {
+      normalized.speed = this.clampSpeed(speed, this.SPEED_LIMITS);
+    }
+    return normalized;
+  }
+
+  /**
+   * Validate subtitle pacing options, dropping any that are missing or invalid
+   * @param {Object} options - Partial options (enabled, wordsPerSecond, slowdown, speedup)
+   * @returns {Object} Valid options only
+   */
+  normalizeSubtitleOptions(options) {
+    const normalized = {};
+    if (!options || typeof options !== 'object') return normalized;
+
+    if (typeof options.enabled === 'boolean') {
+      normalized.enabled = options.enabled;
+    }
+    const wordsPerSecond = parseFloat(options.wordsPerSecond);
+    if (Number.isFinite(wordsPerSecond) && wordsPerSecond > 0) {
+      normalized.wordsPerSecond = Math.max(0.5, Math.min(10, Math.round(wordsPerSecond * 10) / 10));
+    }
+    ['slowdown', 'speedup'].forEach(name => {
+      const value = parseFloat(options[name]);
+      if (Number.isFinite(value)) {
+        normalized[name] = Math.max(0, Math.min(4, Math.round(value * 100) / 100));
+      }
+    });
+    return normalized;
+  }
+
+  /**
+   * Reduce a URL or origin to its origin, accepting http and https only
+   * @param {string} origin - Origin such as https://learn.example.com, with or without a path
+   * @returns {string|null} Origin, or null if invalid
+   */
+  normalizeOrigin(origin) {
+    try {
+      const url = new URL(String(origin).trim());
+      return ['http:', 'https:'].includes(url.protocol) ? url.origin : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Validate a speed ramp
+   * @param {Object} ramp - Ramp with from and to speeds and a length in minutes
+   * @returns {{from: number, to: number, minutes: number}|null} Valid ramp, or null
+   */
+  normalizeRamp(ramp) {
+    if (!ramp || typeof ramp !== 'object') return null;
+
+    const from = parseFloat(ramp.from);
+    const to = parseFloat(ramp.to);
+    const minutes = parseFloat(ramp.minutes);
+    if (![from, to, minutes].every(Number.isFinite) || from <= 0 || to <= 0) return null;
+
+    return {
+      from: this.clampSpeed(from, this.SPEED_LIMITS),
+      to: this.clampSpeed(to, this.SPEED_LIMITS),
+      minutes: Math.max(this.RAMP_MINUTES.min, Math.min(this.RAMP_MINUTES.max, Math.round(minutes)))
+    };
+  }
+
+  /**
+   * Validate pitch and volume boost options, dropping any that are missing or invalid
+   * @param {Object} options - Partial options (preservesPitch, boost, boostGain, boostMinSpeed)
+   * @returns {Object} Valid options only
+   */
+  normalizeAudioOptions(options) {
+    const normalized = {};
+    if (!options || typeof options !== 'object') return normalized;
+
+    ['preservesPitch', 'boost'].forEach(option => {
+      if (typeof options[option] === 'boolean') {
+        normalized[option] = options[option];
+      }
+    });
+    const boostGain = parseFloat(options.boostGain);
+    if (Number.isFinite(boostGain)) {
+      normalized.boostGain = Math.max(1, Math.min(4, Math.round(boostGain * 10) / 10));
+    }
+    const boostMinSpeed = parseFloat(options.boostMinSpeed);
+    if (Number.isFinite(boostMinSpeed) && boostMinSpeed > 0) {
+      normalized.boostMinSpeed = this.clampSpeed(boostMinSpeed, this.SPEED_LIMITS);
+    }
+    return normalized;
+  }
+
+  /**
+   * Read several settings, validated and with defaults applied
+   * @param {string[]} [keys] - Setting keys (all settings if omitted)
+   * @returns {Promise<Object>} Map of setting key to value
+   */
+  async getSettings(keys = Object.values(this.STORAGE_KEYS)) {
+    try {
+      const stored = await chrome.storage.sync.get([...keys, this.META_KEYS.STORAGE_AREAS]);
+      const areas = stored[this.META_KEYS.STORAGE_AREAS] || {};
+
+      const localKeys = keys.filter(key => areas[key] === 'local');
+      if (localKeys.length > 0) {
+        Object.assign(stored, await chrome.storage.local.get(localKeys));
+      }
+
+      return Object.fromEntries(keys.map(key => [key, this.normalizeSetting(key, stored[key])]));
+    } catch (error) {
+      console.error('Error getting settings:', error);
+      return Object.fromEntries(keys.map(key => [key, this.getDefault(key)]));
+    }
+  }
+
+  /**
+   * Read one setting, validated and with its default applied
+   * @param {string} key - Setting key
+   * @returns {Promise<*>} Setting value
+   */
+  async getSetting(key) {
+    const settings = await this.getSettings([key]);
+    return settings[key];
+  }
+
+  /**
+   * Write settings, moving maps that outgrow storage.sync to storage.local
+   * @param {Object} values - Map of setting key to value
+   * @param {boolean} [forceLocal] - Put every local-capable map in storage.local
+   * @returns {Promise<void>} Rejects if the write fails
+   */
+  async setSettings(values, forceLocal = false) {
+    const syncValues = {};
+    const localValues = {};
+    const { [this.META_KEYS.STORAGE_AREAS]: storedAreas } = await chrome.storage.sync.get(this.META_KEYS.STORAGE_AREAS);
+    const areas = { ...storedAreas };
+
+    Object.entries(values).forEach(([key, value]) => {
+      if (!this.LOCAL_CAPABLE_KEYS.includes(key)) {
+        syncValues[key] = value;
+        return;
+      }
+
+      const size = new TextEncoder().encode(key + JSON.stringify(value)).length;
+      // Only move back once well under the limit so a map near it doesn't bounce between areas
+      const limit = areas[key] === 'local' ? this.SYNC_ITEM_LIMIT / 2 : this.SYNC_ITEM_LIMIT;
+      if (forceLocal || size > limit) {
+        localValues[key] = value;
+        areas[key] = 'local';
+      } else {
+        syncValues[key] = value;
+        delete areas[key];
+      }
+    });
+
+    const movedToLocal = Object.keys(localValues).filter(key => !(storedAreas && storedAreas[key] === 'local'));
+    const movedToSync = Object.keys(syncValues).filter(key => storedAreas && storedAreas[key] === 'local');
+
+    // Write the new copy before recording its area, then drop the old copy
+    if (Object.keys(localValues).length > 0) {
+      await chrome.storage.local.set(localValues);
+    }
+    if (movedToLocal.length > 0 || movedToSync.length > 0) {
+      syncValues[this.META_KEYS.STORAGE_AREAS] = areas;
+    }
+    if (Object.keys(syncValues).length > 0) {
+      try {
+        await chrome.storage.sync.set(syncValues);
+      } catch (error) {
+        // The total sync quota is shared by all items; make room by moving the maps
+        const canMove = Object.keys(syncValues).some(key => this.LOCAL_CAPABLE_KEYS.includes(key));
+        if (forceLocal || !canMove || !/quota/i.test(error.message)) throw error;
+        return this.setSettings(values, true);
+      }
+    }
+    if (movedToLocal.length > 0) {
+      await chrome.storage.sync.remove(movedToLocal);
+      console.log('Video Speed Controller: Moved to local storage (sync quota):', movedToLocal);
+    }
+    if (movedToSync.length > 0) {
+      await chrome.storage.local.remove(movedToSync);
+    }
+  }
+
+  /**
+   * Listen for setting changes from either storage area
+   * @param {function(Object<string, {oldValue: *, newValue: *}>)} listener - Receives validated changes per setting key
+   */
+  onChanged(listener) {
+    const settingKeys = Object.values(this.STORAGE_KEYS);
+
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace !== 'sync' && namespace !== 'local') return;
+
+      const settingChanges = {};
+      Object.entries(changes).forEach(([key, change]) => {
+        if (!settingKeys.includes(key)) return;
+        if (namespace === 'local' && !this.LOCAL_CAPABLE_KEYS.includes(key)) return;
+        // Removal from one area means the map moved to the other one
+        if (this.LOCAL_CAPABLE_KEYS.includes(key) && change.newValue === undefined) return;
+
+        settingChanges[key] = {
+          oldValue: change.oldValue === undefined ? undefined : this.normalizeSetting(key, change.oldValue),
+          newValue: this.normalizeSetting(key, change.newValue)
+        };
+      });
+
+      if (Object.keys(settingChanges).length > 0) {
+        listener(settingChanges);
+      }
+    });
+  }
+
+  /**
+   * Bring stored settings up to the current schema version
+   * @returns {Promise<number|null>} Schema version after migrating, or null on failure
+   */
+  async migrate() {
     try {
-      const result = await chrome.storage.sync.get(this.STORAGE_KEYS.DEFAULT_SPEED);
-      return result[this.STORAGE_KEYS.DEFAULT_SPEED] || this.DEFAULT_VALUES.defaultSpeed;
+      const stored = await chrome.storage.sync.get(null);
+      const settingKeys = [...Object.values(this.STORAGE_KEYS), ...Object.values(this.LEGACY_KEYS)];
+      const hasSettings = Object.keys(stored).some(key => settingKeys.includes(key));
+
+      // Settings from before the schema was versioned count as version 1
+      const storedVersion = stored[this.META_KEYS.SCHEMA_VERSION];
+      const fromVersion = storedVersion || (hasSettings ? 1 : this.SCHEMA_VERSION);
+      if (storedVersion === this.SCHEMA_VERSION) return storedVersion;
+      if (fromVersion > this.SCHEMA_VERSION) {
+        console.warn(`Video Speed Controller: Settings schema ${fromVersion} is newer than ${this.SCHEMA_VERSION}, leaving as is`);
+        return fromVersion;
+      }
+
+      for (const migration of this.MIGRATIONS) {
+        if (migration.version <= fromVersion) continue;
+        console.log(`Video Speed Controller: Migrating settings to schema ${migration.version}: ${migration.description}`);
+        await migration.migrate();
+        await this.setSettings({ [this.META_KEYS.SCHEMA_VERSION]: migration.version });
+      }
+
+      await this.setSettings({ [this.META_KEYS.SCHEMA_VERSION]: this.SCHEMA_VERSION });
+      return this.SCHEMA_VERSION;
     } catch (error) {
-      console.error('Error getting default speed:', error);
-      return this.DEFAULT_VALUES.defaultSpeed;
+      console.error('Error migrating settings:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Move speeds remembered per YouTube channel (keyed "@handle" or "channel/UC...")
+   * to content speeds keyed "youtube:<channel>", keeping any content speed already saved
+   * @returns {Promise<void>}
+   */
+  async migrateChannelSpeeds() {
+    const key = this.LEGACY_KEYS.CHANNEL_SPEEDS;
+    const { [key]: channelSpeeds } = await chrome.storage.sync.get(key);
+    if (channelSpeeds && typeof channelSpeeds === 'object') {
+      const contentSpeeds = await this.getContentSpeeds();
+      Object.entries(channelSpeeds).forEach(([channelId, speed]) => {
+        const contentKey = `youtube:${channelId}`;
+        if (!(contentKey in contentSpeeds)) {
+          contentSpeeds[contentKey] = speed;
+        }
+      });
+      await this.setSettings({
+        [this.STORAGE_KEYS.CONTENT_SPEEDS]: this.normalizeSetting(this.STORAGE_KEYS.CONTENT_SPEEDS, contentSpeeds)
+      });
     }
+    await chrome.storage.sync.remove(key);
+  }
+
+  /**
+   * Rewrite every stored setting in its validated form
+   * @returns {Promise<void>}
+   */
+  async normalizeStoredSettings() {
+    const stored = await chrome.storage.sync.get(Object.values(this.STORAGE_KEYS));
+    const settings = await this.getSettings(Object.keys(stored));
+    await this.setSettings(settings);
+  }
+
+  /**
+   * Get default speed setting
+   * @returns {Promise<number>} Default speed value
+   */
+  async getDefaultSpeed() {
+    return this.getSetting(this.STORAGE_KEYS.DEFAULT_SPEED);
   }
 
   /**
    * Set default speed setting
-   * @param {number} speed - Speed value between 0.5 and 5.0
+   * @param {number} speed - Speed value within the speed range
    * @returns {Promise<void>}
    */
   async setDefaultSpeed(speed) {
     try {
-      const clampedSpeed = Math.max(0.5, Math.min(5.0, speed));
-      await chrome.storage.sync.set({
+      const clampedSpeed = this.clampSpeed(speed, await this.getSpeedRange());
+      await this.setSettings({
         [this.STORAGE_KEYS.DEFAULT_SPEED]: clampedSpeed
       });
     } catch (error) {
@@ -50,15 +729,7 @@ class VideoSpeedStorage {
    * @returns {Promise<boolean>} Enabled status
    */
   async getEnabled() {
-    try {
-      const result = await chrome.storage.sync.get(this.STORAGE_KEYS.ENABLED);
-      return result[this.STORAGE_KEYS.ENABLED] !== undefined 
-        ? result[this.STORAGE_KEYS.ENABLED] 
-        : this.DEFAULT_VALUES.enabled;
-    } catch (error) {
-      console.error('Error getting enabled status:', error);
-      return this.DEFAULT_VALUES.enabled;
-    }
+    return this.getSetting(this.STORAGE_KEYS.ENABLED);
   }
 
   /**
@@ -68,7 +739,7 @@ class VideoSpeedStorage {
    */
   async setEnabled(enabled) {
     try {
-      await chrome.storage.sync.set({
+      await this.setSettings({
         [this.STORAGE_KEYS.ENABLED]: Boolean(enabled)
       });
     } catch (error) {
@@ -76,6 +747,986 @@ class VideoSpeedStorage {
     }
   }
 
+  /**
+   * Get all remembered per-content speeds
+   * @returns {Promise<Object<string, number>>} Map of content key to speed
+   */
+  async getContentSpeeds() {
+    return this.getSetting(this.STORAGE_KEYS.CONTENT_SPEEDS);
+  }
+
+  /**
+   * Get the remembered speed for a piece of content
+   * @param {string} contentKey - Content key (e.g. "youtube:@handle", "netflix:80057281")
+   * @returns {Promise<number|null>} Speed value, or null if none is stored
+   */
+  async getContentSpeed(contentKey) {
+    if (!contentKey) return null;
+    const contentSpeeds = await this.getContentSpeeds();
+    return contentSpeeds[contentKey] || null;
+  }
+
+  /**
+   * Remember a speed for a piece of content
+   * @param {string} contentKey - Content key
+   * @param {number} speed - Speed value within the speed range
+   * @returns {Promise<void>}
+   */
+  async setContentSpeed(contentKey, speed) {
+    if (!contentKey) return;
+    try {
+      const contentSpeeds = await this.getContentSpeeds();
+      contentSpeeds[contentKey] = this.clampSpeed(speed, await this.getSpeedRange());
+      await this.setSettings({
+        [this.STORAGE_KEYS.CONTENT_SPEEDS]: contentSpeeds
+      });
+    } catch (error) {
+      console.error('Error setting content speed:', error);
+    }
+  }
+
+  /**
+   * Forget the remembered speed for a piece of content
+   * @param {string} contentKey - Content key
+   * @returns {Promise<void>}
+   */
+  async deleteContentSpeed(contentKey) {
+    if (!contentKey) return;
+    try {
+      const contentSpeeds = await this.getContentSpeeds();
+      delete contentSpeeds[contentKey];
+      await this.setSettings({
+        [this.STORAGE_KEYS.CONTENT_SPEEDS]: contentSpeeds
+      });
+    } catch (error) {
+      console.error('Error deleting content speed:', error);
+    }
+  }
+
+  /**
+   * Forget the remembered speeds for several pieces of content at once
+   * @param {string[]} contentKeys - Content keys to delete
+   * @returns {Promise<void>}
+   */
+  async deleteContentSpeeds(contentKeys) {
+    try {
+      const contentSpeeds = await this.getContentSpeeds();
+      (contentKeys || []).forEach(contentKey => {
+        delete contentSpeeds[contentKey];
+      });
+      await this.setSettings({
+        [this.STORAGE_KEYS.CONTENT_SPEEDS]: contentSpeeds
+      });
+    } catch (error) {
+      console.error('Error deleting content speeds:', error);
+    }
+  }
+
+  /**
+   * Get in-page hotkey preferences
+   * @returns {Promise<{enabled: boolean, slower: string, faster: string, reset: string}>} Hotkey preferences
+   */
+  async getHotkeys() {
+    return this.getSetting(this.STORAGE_KEYS.HOTKEYS);
+  }
+
+  /**
+   * Set in-page hotkey preferences
+   * @param {Object} hotkeys - Partial hotkey preferences to merge into the stored ones
+   * @returns {Promise<void>}
+   */
+  async setHotkeys(hotkeys) {
+    try {
+      const updated = this.normalizeSetting(this.STORAGE_KEYS.HOTKEYS, {
+        ...(await this.getHotkeys()),
+        ...hotkeys
+      });
+      await this.setSettings({
+        [this.STORAGE_KEYS.HOTKEYS]: updated
+      });
+    } catch (error) {
+      console.error('Error setting hotkeys:', error);
+    }
+  }
+
+  /**
+   * Get on-video overlay settings
+   * @returns {Promise<{enabled: boolean, sites: Object<string, boolean>}>} Global switch and per-site overrides
+   */
+  async getOverlaySettings() {
+    return this.getSetting(this.STORAGE_KEYS.OVERLAY);
+  }
+
+  /**
+   * Update global overlay settings (on/off and appearance)
+   * @param {{enabled?: boolean, size?: string, opacity?: number, autoHide?: boolean, hideDelay?: number}} settings - Settings to change
+   * @returns {Promise<void>}
+   */
+  async setOverlaySettings(settings) {
+    try {
+      const overlay = this.normalizeSetting(this.STORAGE_KEYS.OVERLAY, {
+        ...(await this.getOverlaySettings()),
+        ...settings
+      });
+      await this.setSettings({
+        [this.STORAGE_KEYS.OVERLAY]: overlay
+      });
+    } catch (error) {
+      console.error('Error setting overlay settings:', error);
+    }
+  }
+
+  /**
+   * Switch the on-video overlay on or off for one site
+   * @param {string} hostname - Site hostname
+   * @param {boolean} enabled - Whether the overlay is shown on this site
+   * @returns {Promise<void>}
+   */
+  async setOverlayEnabledForSite(hostname, enabled) {
+    if (!hostname) return;
+    try {
+      const overlay = await this.getOverlaySettings();
+      if (Boolean(enabled) === overlay.enabled) {
+        // Same as the global setting, no override needed
+        delete overlay.sites[hostname];
+      } else {
+        overlay.sites[hostname] = Boolean(enabled);
+      }
+      await this.setSettings({
+        [this.STORAGE_KEYS.OVERLAY]: overlay
+      });
+    } catch (error) {
+      console.error('Error setting overlay for site:', error);
+    }
+  }
+
+  /**
+   * Get which kinds of media are controlled
+   * @returns {Promise<{type: string, sites: Object<string, string>}>} Global media type and per-site overrides
+   */
+  async getMediaTypeSettings() {
+    return this.getSetting(this.STORAGE_KEYS.MEDIA_TYPE);
+  }
+
+  /**
+   * Set which kinds of media are controlled on one site
+   * @param {string} hostname - Site hostname
+   * @param {'video'|'audio'|'both'} type - Media type to control
+   * @returns {Promise<void>}
+   */
+  async setMediaTypeForSite(hostname, type) {
+    if (!hostname || !this.MEDIA_TYPES.includes(type)) return;
+    try {
+      const mediaType = await this.getMediaTypeSettings();
+      if (type === mediaType.type) {
+        // Same as the global setting, no override needed
+        delete mediaType.sites[hostname];
+      } else {
+        mediaType.sites[hostname] = type;
+      }
+      await this.setSettings({
+        [this.STORAGE_KEYS.MEDIA_TYPE]: mediaType
+      });
+    } catch (error) {
+      console.error('Error setting media type for site:', error);
+    }
+  }
+
+  /**
+   * Get how outside rate changes are handled
+   * @returns {Promise<{mode: string, maxConflicts: number, sites: Object<string, string>}>} Global mode, conflict limit and per-site overrides
+   */
+  async getRateChangeSettings() {
+    return this.getSetting(this.STORAGE_KEYS.RATE_CHANGE);
+  }
+
+  /**
+   * Update the global rate change handling
+   * @param {{mode?: string, maxConflicts?: number}} settings - Settings to change
+   * @returns {Promise<void>}
+   */
+  async setRateChangeSettings(settings) {
+    try {
+      const rateChange = this.normalizeSetting(this.STORAGE_KEYS.RATE_CHANGE, {
+        ...(await this.getRateChangeSettings()),
+        ...settings
+      });
+      await this.setSettings({
+        [this.STORAGE_KEYS.RATE_CHANGE]: rateChange
+      });
+    } catch (error) {
+      console.error('Error setting rate change settings:', error);
+    }
+  }
+
+  /**
+   * Set how outside rate changes are handled on one site
+   * @param {string} hostname - Site hostname
+   * @param {'enforce'|'adopt'|'ignore'} mode - Rate change mode
+   * @returns {Promise<void>}
+   */
+  async setRateChangeModeForSite(hostname, mode) {
+    if (!hostname || !this.RATE_CHANGE_MODES.includes(mode)) return;
+    try {
+      const rateChange = await this.getRateChangeSettings();
+      if (mode === rateChange.mode) {
+        // Same as the global setting, no override needed
+        delete rateChange.sites[hostname];
+      } else {
+        rateChange.sites[hostname] = mode;
+      }
+      await this.setSettings({
+        [this.STORAGE_KEYS.RATE_CHANGE]: rateChange
+      });
+    } catch (error) {
+      console.error('Error setting rate change mode for site:', error);
+    }
+  }
+
+  /**
+   * Get silence skipping settings
+   * @returns {Promise<{enabled: boolean, threshold: number, minDuration: number, speed: number, sites: Object<string, Object>}>}
+   *   Global settings and per-site overrides
+   */
+  async getSilenceSettings() {
+    return this.getSetting(this.STORAGE_KEYS.SILENCE);
+  }
+
+  /**
+   * Get the silence skipping settings that apply on one site
+   * @param {Object} silence - Silence skipping settings
+   * @param {string} hostname - Site hostname
+   * @returns {{enabled: boolean, threshold: number, minDuration: number, speed: number}} Settings for the site
+   */
+  resolveSilenceSettings(silence, hostname) {
+    const { sites, ...defaults } = silence;
+    return { ...defaults, ...(sites && sites[hostname]) };
+  }
+
+  /**
+   * Change silence skipping settings for one site
+   * @param {string} hostname - Site hostname
+   * @param {{enabled?: boolean, threshold?: number, minDuration?: number, speed?: number}} options - Options to change
+   * @returns {Promise<void>}
+   */
+  async setSilenceSettingsForSite(hostname, options) {
+    if (!hostname) return;
+    try {
+      const silence = await this.getSilenceSettings();
+      silence.sites[hostname] = {
+        ...silence.sites[hostname],
+        ...this.normalizeSilenceOptions(options)
+      };
+      await this.setSettings({
+        [this.STORAGE_KEYS.SILENCE]: silence
+      });
+    } catch (error) {
+      console.error('Error setting silence skipping for site:', error);
+    }
+  }
+
+  /**
+   * Get subtitle pacing settings
+   * @returns {Promise<{enabled: boolean, wordsPerSecond: number, slowdown: number, speedup: number,
+   *   sites: Object<string, Object>}>} Global settings and per-site overrides
+   */
+  async getSubtitleSettings() {
+    return this.getSetting(this.STORAGE_KEYS.SUBTITLES);
+  }
+
+  /**
+   * Get the subtitle pacing settings that apply on one site
+   * @param {Object} subtitles - Subtitle pacing settings
+   * @param {string} hostname - Site hostname
+   * @returns {{enabled: boolean, wordsPerSecond: number, slowdown: number, speedup: number}} Settings for the site
+   */
+  resolveSubtitleSettings(subtitles, hostname) {
+    const { sites, ...defaults } = subtitles;
+    return { ...defaults, ...(sites && sites[hostname]) };
+  }
+
+  /**
+   * Change subtitle pacing settings for one site
+   * @param {string} hostname - Site hostname
+   * @param {{enabled?: boolean, wordsPerSecond?: number, slowdown?: number, speedup?: number}} options - Options to change
+   * @returns {Promise<void>}
+   */
+  async setSubtitleSettingsForSite(hostname, options) {
+    if (!hostname) return;
+    try {
+      const subtitles = await this.getSubtitleSettings();
+      subtitles.sites[hostname] = {
+        ...subtitles.sites[hostname],
+        ...this.normalizeSubtitleOptions(options)
+      };
+      await this.setSettings({
+        [this.STORAGE_KEYS.SUBTITLES]: subtitles
+      });
+    } catch (error) {
+      console.error('Error setting subtitle pacing for site:', error);
+    }
+  }
+
+  /**
+   * Get pitch and volume boost settings
+   * @returns {Promise<{preservesPitch: boolean, boost: boolean, boostGain: number, boostMinSpeed: number,
+   *   sites: Object<string, Object>}>} Global settings and per-site overrides
+   */
+  async getAudioSettings() {
+    return this.getSetting(this.STORAGE_KEYS.AUDIO);
+  }
+
+  /**
+   * Get the pitch and volume boost settings that apply on one site
+   * @param {Object} audio - Audio settings
+   * @param {string} hostname - Site hostname
+   * @returns {{preservesPitch: boolean, boost: boolean, boostGain: number, boostMinSpeed: number}} Settings for the site
+   */
+  resolveAudioSettings(audio, hostname) {
+    const { sites, ...defaults } = audio;
+    return { ...defaults, ...(sites && sites[hostname]) };
+  }
+
+  /**
+   * Change the global pitch and volume boost settings
+   * @param {{preservesPitch?: boolean, boost?: boolean, boostGain?: number, boostMinSpeed?: number}} options - Options to change
+   * @returns {Promise<void>}
+   */
+  async setAudioSettings(options) {
+    try {
+      const audio = await this.getAudioSettings();
+      await this.setSettings({
+        [this.STORAGE_KEYS.AUDIO]: { ...audio, ...this.normalizeAudioOptions(options) }
+      });
+    } catch (error) {
+      console.error('Error setting audio settings:', error);
+    }
+  }
+
+  /**
+   * Change pitch and volume boost settings for one site
+   * @param {string} hostname - Site hostname
+   * @param {{preservesPitch?: boolean, boost?: boolean, boostGain?: number, boostMinSpeed?: number}} options - Options to change
+   * @returns {Promise<void>}
+   */
+  async setAudioSettingsForSite(hostname, options) {
+    if (!hostname) return;
+    try {
+      const audio = await this.getAudioSettings();
+      audio.sites[hostname] = {
+        ...audio.sites[hostname],
+        ...this.normalizeAudioOptions(options)
+      };
+      await this.setSettings({
+        [this.STORAGE_KEYS.AUDIO]: audio
+      });
+    } catch (error) {
+      console.error('Error setting audio settings for site:', error);
+    }
+  }
+
+  /**
+   * Get how ads are played
+   * @returns {Promise<{action: 'auto'|'keep'|'adSpeed'|'original', speed: number}>} Ad action and the separate ad speed
+   */
+  async getAdSettings() {
+    return this.getSetting(this.STORAGE_KEYS.ADS);
+  }
+
+  /**
+   * Change how ads are played
+   * @param {{action?: string, speed?: number}} settings - Settings to change
+   * @returns {Promise<void>}
+   */
+  async setAdSettings(settings) {
+    try {
+      const ads = this.normalizeSetting(this.STORAGE_KEYS.ADS, {
+        ...(await this.getAdSettings()),
+        ...settings
+      });
+      await this.setSettings({
+        [this.STORAGE_KEYS.ADS]: ads
+      });
+    } catch (error) {
+      console.error('Error setting ad settings:', error);
+    }
+  }
+
+  /**
+   * Get the live stream and short clip rules
+   * @returns {Promise<{live: 'normal'|'catchUp'|'speed', catchUpSpeed: number, catchUpThreshold: number,
+   *   shortClipLength: number}>} Duration-based rules
+   */
+  async getDurationRules() {
+    return this.getSetting(this.STORAGE_KEYS.DURATION_RULES);
+  }
+
+  /**
+   * Change the live stream and short clip rules
+   * @param {{live?: string, catchUpSpeed?: number, catchUpThreshold?: number, shortClipLength?: number}} rules - Rules to change
+   * @returns {Promise<void>}
+   */
+  async setDurationRules(rules) {
+    try {
+      const durationRules = this.normalizeSetting(this.STORAGE_KEYS.DURATION_RULES, {
+        ...(await this.getDurationRules()),
+        ...rules
+      });
+      await this.setSettings({
+        [this.STORAGE_KEYS.DURATION_RULES]: durationRules
+      });
+    } catch (error) {
+      console.error('Error setting duration rules:', error);
+    }
+  }
+
+  /**
+   * Get the skip length and frame rate used by the practice controls
+   * @returns {Promise<{skipSeconds: number, frameRate: number}>} Practice settings
+   */
+  async getPracticeSettings() {
+    return this.getSetting(this.STORAGE_KEYS.PRACTICE);
+  }
+
+  /**
+   * Change the practice control settings
+   * @param {{skipSeconds?: number, frameRate?: number}} settings - Settings to change
+   * @returns {Promise<void>}
+   */
+  async setPracticeSettings(settings) {
+    try {
+      const practice = this.normalizeSetting(this.STORAGE_KEYS.PRACTICE, {
+        ...(await this.getPracticeSettings()),
+        ...settings
+      });
+      await this.setSettings({
+        [this.STORAGE_KEYS.PRACTICE]: practice
+      });
+    } catch (error) {
+      console.error('Error setting practice settings:', error);
+    }
+  }
+
+  /**
+   * Get the extensions and pages allowed to use the external API
+   * @returns {Promise<{extensionIds: string[], pageOrigins: string[]}>} Allowed extension ids and page origins
+   */
+  async getExternalApiSettings() {
+    return this.getSetting(this.STORAGE_KEYS.EXTERNAL_API);
+  }
+
+  /**
+   * Change the extensions and pages allowed to use the external API
+   * @param {{extensionIds?: string[], pageOrigins?: string[]}} settings - Settings to change
+   * @returns {Promise<void>}
+   */
+  async setExternalApiSettings(settings) {
+    try {
+      const externalApi = this.normalizeSetting(this.STORAGE_KEYS.EXTERNAL_API, {
+        ...(await this.getExternalApiSettings()),
+        ...settings
+      });
+      await this.setSettings({
+        [this.STORAGE_KEYS.EXTERNAL_API]: externalApi
+      });
+    } catch (error) {
+      console.error('Error setting external API settings:', error);
+    }
+  }
+
+  /**
+   * Get all remembered speed ramps
+   * @returns {Promise<Object<string, {from: number, to: number, minutes: number}>>} Map of content key to ramp
+   */
+  async getSpeedRamps() {
+    return this.getSetting(this.STORAGE_KEYS.SPEED_RAMPS);
+  }
+
+  /**
+   * Get the remembered speed ramp for a piece of content
+   * @param {string} contentKey - Content key
+   * @returns {Promise<{from: number, to: number, minutes: number}|null>} Ramp, or null if none is stored
+   */
+  async getSpeedRamp(contentKey) {
+    if (!contentKey) return null;
+    const speedRamps = await this.getSpeedRamps();
+    return speedRamps[contentKey] || null;
+  }
+
+  /**
+   * Remember a speed ramp for a piece of content
+   * @param {string} contentKey - Content key
+   * @param {{from: number, to: number, minutes: number}} ramp - Ramp to start whenever the content plays
+   * @returns {Promise<void>}
+   */
+  async setSpeedRamp(contentKey, ramp) {
+    const normalized = this.normalizeRamp(ramp);
+    if (!contentKey || !normalized) return;
+    try {
+      const speedRamps = await this.getSpeedRamps();
+      speedRamps[contentKey] = normalized;
+      await this.setSettings({
+        [this.STORAGE_KEYS.SPEED_RAMPS]: speedRamps
+      });
+    } catch (error) {
+      console.error('Error setting speed ramp:', error);
+    }
+  }
+
+  /**
+   * Forget the remembered speed ramp for a piece of content
+   * @param {string} contentKey - Content key
+   * @returns {Promise<void>}
+   */
+  async deleteSpeedRamp(contentKey) {
+    if (!contentKey) return;
+    try {
+      const speedRamps = await this.getSpeedRamps();
+      delete speedRamps[contentKey];
+      await this.setSettings({
+        [this.STORAGE_KEYS.SPEED_RAMPS]: speedRamps
+      });
+    } catch (error) {
+      console.error('Error deleting speed ramp:', error);
+    }
+  }
+
+  /**
+   * Get the ordered site rules
+   * @returns {Promise<Array<{id: string, pattern: string, action: string, speed?: number}>>} Site rules, first match wins
+   */
+  async getSiteRules() {
+    return this.getSetting(this.STORAGE_KEYS.SITE_RULES);
+  }
+
+  /**
+   * Replace all site rules, dropping invalid ones
+   * @param {Array<Object>} rules - Ordered site rules
+   * @returns {Promise<void>}
+   */
+  async setSiteRules(rules) {
+    try {
+      const normalized = (rules || [])
+        .map(rule => siteRules.normalize(rule))
+        .filter(Boolean);
+      await this.setSettings({
+        [this.STORAGE_KEYS.SITE_RULES]: normalized
+      });
+    } catch (error) {
+      console.error('Error setting site rules:', error);
+    }
+  }
+
+  /**
+   * Add a site rule at the end of the list
+   * @param {{pattern: string, action: string, speed?: number}} rule - Rule to add
+   * @returns {Promise<Object|null>} Added rule, or null if it is invalid
+   */
+  async addSiteRule(rule) {
+    const normalized = siteRules.normalize(rule);
+    if (!normalized) return null;
+
+    const rules = await this.getSiteRules();
+    rules.push(normalized);
+    await this.setSiteRules(rules);
+    return normalized;
+  }
+
+  /**
+   * Update a site rule
+   * @param {string} ruleId - ID of the rule to update
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<void>}
+   */
+  async updateSiteRule(ruleId, changes) {
+    const rules = await this.getSiteRules();
+    const index = rules.findIndex(rule => rule.id === ruleId);
+    if (index === -1) return;
+
+    const updated = siteRules.normalize({ ...rules[index], ...changes, id: ruleId });
+    if (!updated) return;
+
+    rules[index] = updated;
+    await this.setSiteRules(rules);
+  }
+
+  /**
+   * Move a site rule up or down in the list
+   * @param {string} ruleId - ID of the rule to move
+   * @param {number} offset - Positions to move (-1 = up, 1 = down)
+   * @returns {Promise<void>}
+   */
+  async moveSiteRule(ruleId, offset) {
+    const rules = await this.getSiteRules();
+    const index = rules.findIndex(rule => rule.id === ruleId);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= rules.length) return;
+
+    const [rule] = rules.splice(index, 1);
+    rules.splice(target, 0, rule);
+    await this.setSiteRules(rules);
+  }
+
+  /**
+   * Delete a site rule
+   * @param {string} ruleId - ID of the rule to delete
+   * @returns {Promise<void>}
+   */
+  async deleteSiteRule(ruleId) {
+    const rules = await this.getSiteRules();
+    await this.setSiteRules(rules.filter(rule => rule.id !== ruleId));
+  }
+
+  /**
+   * Get the speed preset list
+   * @returns {Promise<number[]>} Preset speeds, ascending
+   */
+  async getPresets() {
+    return this.getSetting(this.STORAGE_KEYS.PRESETS);
+  }
+
+  /**
+   * Set the speed preset list
+   * @param {number[]} presets - Preset speeds (sorted and de-duplicated on save)
+   * @returns {Promise<void>}
+   */
+  async setPresets(presets) {
+    try {
+      const range = await this.getSpeedRange();
+      const cleaned = [...new Set((presets || [])
+        .map(preset => parseFloat(preset))
+        .filter(preset => Number.isFinite(preset))
+        .map(preset => this.clampSpeed(preset, range)))]
+        .sort((a, b) => a - b)
+        .slice(0, this.MAX_PRESETS);
+
+      await this.setSettings({
+        [this.STORAGE_KEYS.PRESETS]: cleaned.length > 0 ? cleaned : [...this.DEFAULT_VALUES.presets]
+      });
+    } catch (error) {
+      console.error('Error setting presets:', error);
+    }
+  }
+
+  /**
+   * Get the speed step used by shortcuts and overlay buttons
+   * @returns {Promise<number>} Speed step
+   */
+  async getSpeedStep() {
+    return this.getSetting(this.STORAGE_KEYS.SPEED_STEP);
+  }
+
+  /**
+   * Set the speed step used by shortcuts and overlay buttons
+   * @param {number} step - Speed step between 0.01 and 1.0
+   * @returns {Promise<void>}
+   */
+  async setSpeedStep(step) {
+    try {
+      const clampedStep = Math.max(0.01, Math.min(1.0, parseFloat(step) || this.DEFAULT_VALUES.speedStep));
+      await this.setSettings({
+        [this.STORAGE_KEYS.SPEED_STEP]: Math.round(clampedStep * 100) / 100
+      });
+    } catch (error) {
+      console.error('Error setting speed step:', error);
+    }
+  }
+
+  /**
+   * Get the allowed speed range
+   * @returns {Promise<{min: number, max: number}>} Minimum and maximum speed
+   */
+  async getSpeedRange() {
+    return this.getSetting(this.STORAGE_KEYS.SPEED_RANGE);
+  }
+
+  /**
+   * Set the allowed speed range
+   * @param {{min: number, max: number}} range - Minimum and maximum speed
+   * @returns {Promise<boolean>} False if the range is invalid and was not saved
+   */
+  async setSpeedRange(range) {
+    const min = parseFloat(range && range.min);
+    const max = parseFloat(range && range.max);
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max ||
+        min < this.SPEED_LIMITS.min || max > this.SPEED_LIMITS.max) {
+      return false;
+    }
+
+    try {
+      await this.setSettings({
+        [this.STORAGE_KEYS.SPEED_RANGE]: { min, max }
+      });
+      return true;
+    } catch (error) {
+      console.error('Error setting speed range:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get how many days of watch statistics are kept
+   * @returns {Promise<number>} Retention in days
+   */
+  async getStatsRetention() {
+    return this.getSetting(this.STORAGE_KEYS.STATS_RETENTION);
+  }
+
+  /**
+   * Set how many days of watch statistics are kept, pruning older days
+   * @param {number} days - Retention in days
+   * @returns {Promise<void>}
+   */
+  async setStatsRetention(days) {
+    try {
+      const retention = this.normalizeSetting(this.STORAGE_KEYS.STATS_RETENTION, days);
+      await this.setSettings({
+        [this.STORAGE_KEYS.STATS_RETENTION]: retention
+      });
+      await this.updateWatchStats(stats => stats);
+    } catch (error) {
+      console.error('Error setting stats retention:', error);
+    }
+  }
+
+  /**
+   * Get watch statistics grouped by day, site and content key
+   * @returns {Promise<Object<string, Object<string, Object<string, {label: string, watched: number, media: number}>>>>}
+   *   stats[day][site][contentKey]; watched is wall-clock seconds, media is seconds of media played
+   */
+  async getWatchStats() {
+    try {
+      const result = await chrome.storage.local.get(this.LOCAL_KEYS.WATCH_STATS);
+      const stats = result[this.LOCAL_KEYS.WATCH_STATS];
+      return stats && typeof stats === 'object' ? stats : {};
+    } catch (error) {
+      console.error('Error getting watch stats:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Add playback records to the watch statistics
+   * @param {Array<{day: string, site: string, contentKey: string, label: string, watched: number, media: number}>} records -
+   *   Seconds watched and media seconds played per day, site and content
+   * @returns {Promise<void>}
+   */
+  async addWatchStats(records) {
+    const valid = (records || []).filter(record =>
+      record && /^\d{4}-\d{2}-\d{2}$/.test(record.day) && typeof record.site === 'string' &&
+      Number.isFinite(record.watched) && Number.isFinite(record.media) &&
+      record.watched >= 0 && record.media >= 0);
+    if (valid.length === 0) return;
+
+    await this.updateWatchStats(stats => {
+      valid.forEach(record => {
+        const site = (stats[record.day] ??= {})[record.site] ??= {};
+        const entry = site[record.contentKey || ''] ??= { label: '', watched: 0, media: 0 };
+        entry.label = record.label || entry.label;
+        entry.watched = Math.round((entry.watched + record.watched) * 10) / 10;
+        entry.media = Math.round((entry.media + record.media) * 10) / 10;
+      });
+      return stats;
+    });
+  }
+
+  /**
+   * Delete all watch statistics
+   * @returns {Promise<void>}
+   */
+  async clearWatchStats() {
+    await this.updateWatchStats(() => ({}));
+  }
+
+  /**
+   * Change the watch statistics one update at a time, dropping days past the retention limit
+   * @param {function(Object): Object} update - Receives and returns the statistics
+   * @returns {Promise<void>}
+   */
+  updateWatchStats(update) {
+    this.statsQueue = this.statsQueue.then(async () => {
+      try {
+        const stats = update(await this.getWatchStats());
+        const retention = await this.getStatsRetention();
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - retention);
+        const oldest = this.formatDay(cutoff);
+
+        Object.keys(stats).forEach(day => {
+          if (day < oldest) delete stats[day];
+        });
+
+        await chrome.storage.local.set({ [this.LOCAL_KEYS.WATCH_STATS]: stats });
+      } catch (error) {
+        console.error('Error updating watch stats:', error);
+      }
+    });
+    return this.statsQueue;
+  }
+
+  /**
+   * Format a date as a local YYYY-MM-DD day key
+   * @param {Date} date - Date to format
+   * @returns {string} Day key
+   */
+  formatDay(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Export the shareable settings as a backup document
+   * @returns {Promise<Object>} Backup with format, schema version and settings
+   */
+  async exportSettings() {
+    return {
+      format: this.BACKUP_FORMAT,
+      version: this.BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings: {
+        defaultSpeed: await this.getDefaultSpeed(),
+        enabled: await this.getEnabled(),
+        presets: await this.getPresets(),
+        contentSpeeds: await this.getContentSpeeds(),
+        siteRules: await this.getSiteRules()
+      }
+    };
+  }
+
+  /**
+   * Check a backup document before importing it
+   * @param {Object} backup - Parsed backup file
+   * @returns {string[]} Problems found; empty if the backup can be imported
+   */
+  validateBackup(backup) {
+    if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+      return ['File is not a settings backup'];
+    }
+    if (backup.format !== this.BACKUP_FORMAT) {
+      return ['File is not a Video Speed Controller backup'];
+    }
+    if (!Number.isInteger(backup.version) || backup.version < 1) {
+      return ['Backup has no valid schema version'];
+    }
+    if (backup.version > this.BACKUP_VERSION) {
+      return [`Backup version ${backup.version} is newer than this extension supports (${this.BACKUP_VERSION})`];
+    }
+
+    const settings = backup.settings;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return ['Backup has no settings'];
+    }
+
+    const errors = [];
+    const isSpeed = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+    if ('defaultSpeed' in settings && !isSpeed(settings.defaultSpeed)) {
+      errors.push('Default speed must be a positive number');
+    }
+    if ('enabled' in settings && typeof settings.enabled !== 'boolean') {
+      errors.push('Enabled flag must be true or false');
+    }
+    if ('presets' in settings &&
+        (!Array.isArray(settings.presets) || !settings.presets.every(isSpeed))) {
+      errors.push('Presets must be a list of positive numbers');
+    }
+    if ('contentSpeeds' in settings) {
+      const contentSpeeds = settings.contentSpeeds;
+      if (!contentSpeeds || typeof contentSpeeds !== 'object' || Array.isArray(contentSpeeds)) {
+        errors.push('Content speeds must map content keys to speeds');
+      } else {
+        Object.entries(contentSpeeds)
+          .filter(([, speed]) => !isSpeed(speed))
+          .forEach(([key]) => errors.push(`Content speed for "${key}" is not a positive number`));
+      }
+    }
+    if ('siteRules' in settings) {
+      if (!Array.isArray(settings.siteRules)) {
+        errors.push('Site rules must be a list');
+      } else {
+        settings.siteRules.forEach((rule, index) => {
+          if (!siteRules.normalize(rule)) {
+            errors.push(`Site rule ${index + 1} is invalid`);
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Import a backup document
+   * @param {Object} backup - Parsed backup file
+   * @param {'merge'|'replace'} mode - Merge into or replace the current settings
+   * @returns {Promise<{imported: boolean, errors: string[]}>} Result of the import
+   */
+  async importSettings(backup, mode = 'merge') {
+    if (!this.IMPORT_MODES.includes(mode)) {
+      return { imported: false, errors: [`Unknown import mode "${mode}"`] };
+    }
+
+    const errors = this.validateBackup(backup);
+    if (errors.length > 0) {
+      return { imported: false, errors };
+    }
+
+    const settings = backup.settings;
+    const replace = mode === 'replace';
+    const range = await this.getSpeedRange();
+    const updates = {};
+
+    if (replace || 'defaultSpeed' in settings) {
+      updates[this.STORAGE_KEYS.DEFAULT_SPEED] = this.clampSpeed(
+        settings.defaultSpeed ?? this.DEFAULT_VALUES.defaultSpeed, range);
+    }
+    if (replace || 'enabled' in settings) {
+      updates[this.STORAGE_KEYS.ENABLED] = settings.enabled ?? this.DEFAULT_VALUES.enabled;
+    }
+
+    if (replace || 'presets' in settings) {
+      const current = replace ? [] : await this.getPresets();
+      const presets = [...new Set([...current, ...(settings.presets || [])]
+        .map(preset => this.clampSpeed(preset, range)))]
+        .sort((a, b) => a - b)
+        .slice(0, this.MAX_PRESETS);
+      updates[this.STORAGE_KEYS.PRESETS] = presets.length > 0 ? presets : [...this.DEFAULT_VALUES.presets];
+    }
+
+    if (replace || 'contentSpeeds' in settings) {
+      const contentSpeeds = replace ? {} : await this.getContentSpeeds();
+      Object.entries(settings.contentSpeeds || {}).forEach(([key, speed]) => {
+        contentSpeeds[key] = this.clampSpeed(speed, range);
+      });
+      updates[this.STORAGE_KEYS.CONTENT_SPEEDS] = contentSpeeds;
+    }
+
+    if (replace || 'siteRules' in settings) {
+      const rules = replace ? [] : await this.getSiteRules();
+      (settings.siteRules || []).forEach(rule => {
+        const normalized = siteRules.normalize(rule);
+
+        // Merging keeps existing rules first and skips exact duplicates
+        const duplicate = rules.some(existing =>
+          existing.pattern === normalized.pattern && existing.action === normalized.action);
+        if (duplicate && !replace) return;
+
+        if (rules.some(existing => existing.id === normalized.id)) {
+          normalized.id = siteRules.normalize({ ...normalized, id: null }).id;
+        }
+        rules.push(normalized);
+      });
+      updates[this.STORAGE_KEYS.SITE_RULES] = rules;
+    }
+
+    try {
+      await this.setSettings(updates);
+      return { imported: true, errors: [] };
+    } catch (error) {
+      console.error('Error importing settings:', error);
+      return { imported: false, errors: [`Could not save settings: ${error.message}`] };
+    }
+  }
 
   /**
    * Clear all stored data (for debugging/reset purposes)
@@ -84,6 +1735,7 @@ class VideoSpeedStorage {
   async clearAll() {
     try {
       await chrome.storage.sync.clear();
+      await chrome.storage.local.clear();
     } catch (error) {
       console.error('Error clearing storage:', error);
     }
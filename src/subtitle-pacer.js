@@ -0,0 +1,197 @@
+/**
+ * Subtitle Pacer for Video Speed Controller
+ * Reads the upcoming cues of a media element's text track and slows down
+ * through dense dialogue and speeds up through sparse stretches
+ */
+
+class SubtitlePacer {
+  /**
+   * @param {HTMLMediaElement} media - Media element whose text tracks are read
+   * @param {{wordsPerSecond: number, slowdown: number, speedup: number}} settings - Cue density that plays
+   *   at the base speed, and how far below and above the base speed the rate may go
+   * @param {{getBaseSpeed: function(): number, onChange: function(number|null)}} callbacks -
+   *   onChange receives the new paced rate, or null when there are no cues to pace by
+   */
+  constructor(media, settings, callbacks) {
+    this.media = media;
+    this.settings = settings;
+    this.callbacks = callbacks;
+    this.timer = null;
+    // Unrounded rate the smoothing works on, and the rounded rate handed out
+    this.smoothed = null;
+    this.rate = null;
+    // Track we switched from disabled to hidden so its cues load; switched back on destroy
+    this.loadedTrack = null;
+
+    this.POLL_INTERVAL = 500;
+    // Seconds of media ahead whose cues are counted
+    this.LOOKAHEAD = 8;
+    // Share of the distance to the target rate covered per poll, so changes ease in over a few seconds
+    this.SMOOTHING = 0.2;
+    // Rates move in steps this size, so the player isn't sent a new rate every poll
+    this.RATE_STEP = 0.05;
+
+    this.handlePlay = () => this.start();
+    this.handlePause = () => this.stop();
+    this.handleEmptied = () => {
+      // A new source brings its own tracks
+      this.stop();
+      this.loadedTrack = null;
+    };
+    this.handleSeeked = () => {
+      // Cues after a seek say nothing about the ones before it
+      this.smoothed = null;
+    };
+  }
+
+  /**
+   * Start pacing whenever the media plays
+   */
+  attach() {
+    this.media.addEventListener('play', this.handlePlay);
+    this.media.addEventListener('pause', this.handlePause);
+    this.media.addEventListener('emptied', this.handleEmptied);
+    this.media.addEventListener('seeked', this.handleSeeked);
+
+    if (!this.media.paused) {
+      this.start();
+    }
+  }
+
+  /**
+   * Start polling the cues
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.poll(), this.POLL_INTERVAL);
+    this.poll();
+  }
+
+  /**
+   * Stop polling and go back to the base speed
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.smoothed = null;
+    this.setRate(null);
+  }
+
+  /**
+   * Subtitle or caption track to read: a showing one, else a hidden one, else a disabled one loaded as hidden
+   * @returns {TextTrack|null} Track, or null if the media has none
+   */
+  getTrack() {
+    const tracks = Array.from(this.media.textTracks || [])
+      .filter(track => track.kind === 'subtitles' || track.kind === 'captions');
+
+    const active = tracks.find(track => track.mode === 'showing') ||
+      tracks.find(track => track.mode === 'hidden' && track.cues && track.cues.length > 0);
+    if (active) return active;
+
+    // Disabled tracks have no cues; hidden ones load them without showing anything
+    if (!this.loadedTrack && tracks.length > 0) {
+      this.loadedTrack = tracks[0];
+      this.loadedTrack.mode = 'hidden';
+    }
+    return this.loadedTrack;
+  }
+
+  /**
+   * Number of words in a cue's text, without its markup
+   */
+  countWords(text) {
+    return text.replace(/<[^>]*>/g, ' ').split(/\s+/).filter(Boolean).length;
+  }
+
+  /**
+   * Words per second of media time in the cues just ahead
+   * @returns {number|null} Cue density, or null if the track has no cues loaded
+   */
+  getWordsPerSecond() {
+    const track = this.getTrack();
+    if (!track || !track.cues || track.cues.length === 0) return null;
+
+    const start = this.media.currentTime;
+    const end = start + this.LOOKAHEAD;
+    let words = 0;
+
+    for (const cue of Array.from(track.cues)) {
+      if (cue.endTime <= start || cue.startTime >= end || typeof cue.text !== 'string') continue;
+
+      // A cue only partly inside the window counts for the part that is
+      const length = cue.endTime - cue.startTime;
+      const overlap = Math.min(end, cue.endTime) - Math.max(start, cue.startTime);
+      words += length > 0 ? this.countWords(cue.text) * overlap / length : 0;
+    }
+    return words / this.LOOKAHEAD;
+  }
+
+  /**
+   * Rate the cues just ahead call for, kept within the bounds around the base speed
+   * @param {number} baseSpeed - Speed the media would play at without pacing
+   * @param {number} density - Words per second in the cues just ahead
+   */
+  getTargetRate(baseSpeed, density) {
+    const min = Math.max(0.1, baseSpeed - this.settings.slowdown);
+    const max = baseSpeed + this.settings.speedup;
+    if (density <= 0) return max;
+    return Math.max(min, Math.min(max, baseSpeed * this.settings.wordsPerSecond / density));
+  }
+
+  /**
+   * Ease the rate towards the one the upcoming cues call for
+   */
+  poll() {
+    if (this.media.paused || this.media.seeking) return;
+
+    const density = this.getWordsPerSecond();
+    if (density === null) {
+      this.smoothed = null;
+      this.setRate(null);
+      return;
+    }
+
+    const baseSpeed = this.callbacks.getBaseSpeed();
+    const target = this.getTargetRate(baseSpeed, density);
+    const current = this.smoothed === null ? baseSpeed : this.smoothed;
+    this.smoothed = current + (target - current) * this.SMOOTHING;
+    this.setRate(Math.round(this.smoothed / this.RATE_STEP) * this.RATE_STEP);
+  }
+
+  /**
+   * Hand out a new paced rate if it changed
+   */
+  setRate(rate) {
+    const rounded = rate === null ? null : Math.round(rate * 100) / 100;
+    if (this.rate === rounded) return;
+    this.rate = rounded;
+    this.callbacks.onChange(rounded);
+  }
+
+  /**
+   * Apply new density and bounds settings
+   */
+  setSettings(settings) {
+    this.settings = settings;
+    if (this.timer) {
+      this.poll();
+    }
+  }
+
+  /**
+   * Stop pacing and put back any track we loaded
+   */
+  destroy() {
+    this.stop();
+    this.media.removeEventListener('play', this.handlePlay);
+    this.media.removeEventListener('pause', this.handlePause);
+    this.media.removeEventListener('emptied', this.handleEmptied);
+    this.media.removeEventListener('seeked', this.handleSeeked);
+
+    if (this.loadedTrack && this.loadedTrack.mode === 'hidden') {
+      this.loadedTrack.mode = 'disabled';
+    }
+    this.loadedTrack = null;
+  }
+}